@@ -0,0 +1,225 @@
+// adminApi.js
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const {
+  getUpdaterState,
+  getTournamentUpdaterState,
+  addTrackedTournament,
+  removeTrackedTournament,
+  setTrackedTournamentPaused,
+  setTrackedTournamentBoardFilter,
+  backfillRound,
+} = require('./updateDatabase');
+const { normalizeBoardFilter } = require('./boardFilter');
+const { requireAdminSecret } = require('./adminAuth');
+const { ObjectId } = require('mongodb');
+const { connectToDatabase } = require('./database');
+const { getQueueStats, listDeadJobs, retryDeadJob } = require('./jobQueue');
+const { getGameAudit } = require('./reconciliation');
+const { getRoundStates, getRoundTransitions } = require('./rounds');
+const { getLccMetrics } = require('./lccClient');
+const { parseRound } = require('./requestParams');
+
+const TOURNAMENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+router.use(requireAdminSecret);
+router.use(express.json());
+
+// Get the updater state of every tracked tournament
+router.get('/tournaments', async (req, res) => {
+  try {
+    res.json(await getUpdaterState());
+  } catch (error) {
+    logger.error('Error fetching updater state:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start tracking a LiveChessCloud tournament
+router.post('/tournaments', async (req, res) => {
+  const tournamentId = req.body && req.body.tournamentId;
+  if (!tournamentId || !TOURNAMENT_ID_PATTERN.test(tournamentId)) {
+    return res.status(400).json({ error: 'tournamentId must be a LiveChessCloud tournament UUID' });
+  }
+
+  try {
+    const added = await addTrackedTournament(tournamentId);
+    res.status(added ? 201 : 200).json(await getTournamentUpdaterState(tournamentId));
+  } catch (error) {
+    logger.error(`Error adding tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the updater state of a single tournament
+router.get('/tournaments/:tournamentId', async (req, res) => {
+  try {
+    const state = await getTournamentUpdaterState(req.params.tournamentId);
+    if (!state) {
+      return res.status(404).json({ error: 'Tournament not tracked' });
+    }
+    res.json(state);
+  } catch (error) {
+    logger.error(`Error fetching state of tournament ${req.params.tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stop tracking a tournament; stored games are kept
+router.delete('/tournaments/:tournamentId', async (req, res) => {
+  try {
+    const removed = await removeTrackedTournament(req.params.tournamentId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Tournament not tracked' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error removing tournament ${req.params.tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+async function setPaused(req, res, paused) {
+  const { tournamentId } = req.params;
+  try {
+    const updated = await setTrackedTournamentPaused(tournamentId, paused);
+    if (!updated) {
+      return res.status(404).json({ error: 'Tournament not tracked' });
+    }
+    res.json(await getTournamentUpdaterState(tournamentId));
+  } catch (error) {
+    logger.error(`Error ${paused ? 'pausing' : 'resuming'} tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+router.post('/tournaments/:tournamentId/pause', (req, res) => setPaused(req, res, true));
+
+router.post('/tournaments/:tournamentId/resume', (req, res) => setPaused(req, res, false));
+
+// Limit commentary and image generation to featured boards; a null body features every board
+router.put('/tournaments/:tournamentId/board-filter', async (req, res) => {
+  const { tournamentId } = req.params;
+  let boardFilter;
+  try {
+    boardFilter = normalizeBoardFilter(req.body && req.body.boardFilter);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const updated = await setTrackedTournamentBoardFilter(tournamentId, boardFilter);
+    if (!updated) {
+      return res.status(404).json({ error: 'Tournament not tracked' });
+    }
+    res.json(await getTournamentUpdaterState(tournamentId));
+  } catch (error) {
+    logger.error(`Error setting board filter of tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Re-fetch and store every game of a round in the background
+router.post('/tournaments/:tournamentId/rounds/:round/backfill', (req, res) => {
+  const { round, error } = parseRound(req.params.round);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (!backfillRound(req.params.tournamentId, round)) {
+    return res.status(404).json({ error: 'Tournament not tracked' });
+  }
+  res.status(202).json({ tournamentId: req.params.tournamentId, round, status: 'started' });
+});
+
+// Pairing changes applied to stored games, newest first; filter with ?round= and ?gameId=
+router.get('/tournaments/:tournamentId/audit', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const { round, error } = parseRound(req.query.round);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    res.json(await getGameAudit(db, {
+      tournamentId: req.params.tournamentId,
+      round,
+      gameId: req.query.gameId,
+      limit,
+    }));
+  } catch (error) {
+    logger.error(`Error fetching audit of tournament ${req.params.tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stored lifecycle state of every round, with its transitions newest first; filter with ?round=
+router.get('/tournaments/:tournamentId/rounds', async (req, res) => {
+  const { tournamentId } = req.params;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const { round, error } = parseRound(req.query.round);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    res.json({
+      rounds: await getRoundStates(db, tournamentId),
+      transitions: await getRoundTransitions(db, tournamentId, { round, limit }),
+    });
+  } catch (error) {
+    logger.error(`Error fetching rounds of tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request counts, retries and circuit breaker state per LiveChessCloud host
+router.get('/lcc', (req, res) => {
+  res.json(getLccMetrics());
+});
+
+// Commentary and image job queue depths
+router.get('/jobs', async (req, res) => {
+  try {
+    const db = await connectToDatabase();
+    res.json(await getQueueStats(db));
+  } catch (error) {
+    logger.error('Error fetching job queue stats:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Jobs that failed every attempt, newest first; filter with ?type=commentary|image
+router.get('/jobs/dead', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  try {
+    const db = await connectToDatabase();
+    res.json(await listDeadJobs(db, { type: req.query.type, limit }));
+  } catch (error) {
+    logger.error('Error listing dead jobs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/jobs/dead/:jobId/retry', async (req, res) => {
+  if (!ObjectId.isValid(req.params.jobId)) {
+    return res.status(400).json({ error: 'Invalid job ID' });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    if (!(await retryDeadJob(db, req.params.jobId))) {
+      return res.status(404).json({ error: 'Dead job not found' });
+    }
+    res.status(202).json({ jobId: req.params.jobId, status: 'queued' });
+  } catch (error) {
+    logger.error(`Error retrying dead job ${req.params.jobId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
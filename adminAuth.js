@@ -0,0 +1,25 @@
+// adminAuth.js
+
+const crypto = require('crypto');
+
+const ADMIN_SECRET_HEADER = 'x-admin-secret';
+
+// Guards admin routes with the shared secret from ADMIN_SECRET
+function requireAdminSecret(req, res, next) {
+  const adminSecret = process.env.ADMIN_SECRET;
+  if (!adminSecret) {
+    return res.status(503).json({ error: 'Admin API is disabled: ADMIN_SECRET is not set' });
+  }
+
+  const provided = Buffer.from(req.get(ADMIN_SECRET_HEADER) || '');
+  const expected = Buffer.from(adminSecret);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminSecret,
+};
@@ -1,38 +1,103 @@
 require('dotenv').config();
 const express = require('express');
+const logger = require('./logger');
 const { startDatabaseUpdater } = require('./updateDatabase');
 const { connectToDatabase } = require('./database');
 const gameApiRouter = require('./gameApi'); // Add this line
+const adminApiRouter = require('./adminApi');
+const eventsApiRouter = require('./eventsApi');
+const pgnApiRouter = require('./pgnApi');
+const standingsApiRouter = require('./standingsApi');
+const { startStandingsUpdater } = require('./standings');
+const playersApiRouter = require('./playersApi');
+const positionsApiRouter = require('./positionsApi');
+const momentsApiRouter = require('./momentsApi');
+const openingsApiRouter = require('./openingsApi');
+const boardImageApiRouter = require('./boardImageApi');
+const healthApiRouter = require('./healthApi');
+const webhookApiRouter = require('./webhookApi');
+const { startWebhookDispatcher } = require('./webhooks');
+const whatsappApiRouter = require('./whatsappApi');
+const { startWhatsAppNotifier } = require('./whatsapp');
+const { startJobWorkers } = require('./jobQueue');
+const { registerCommentaryJobs } = require('./commentaryJobs');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Health checks and metrics, mounted once outside the startup retry
+app.use('/', healthApiRouter);
+
 async function startServices() {
-  console.log('Starting services...');
+  logger.info('Starting services...');
 
   try {
     // Connect to the database
-    console.log('Connecting to database...');
+    logger.info('Connecting to database...');
     await connectToDatabase();
-    console.log('Connected to database successfully');
+    logger.info('Connected to database successfully');
+
+    // Commentary and image generation run on the job queue
+    registerCommentaryJobs();
+    startJobWorkers();
 
     // Start the database updater
-    console.log('Starting database updater...');
+    logger.info('Starting database updater...');
     startDatabaseUpdater();
-    console.log('Database updater started successfully');
+    logger.info('Database updater started successfully');
+
+    // Deliver game events to registered webhooks
+    startWebhookDispatcher();
+
+    // Broadcast board images and results to WhatsApp subscribers
+    startWhatsAppNotifier();
+
+    // Keep cached standings in step with game results
+    startStandingsUpdater();
+
+    // Admin routes that control the updater and webhooks
+    app.use('/api/admin/webhooks', webhookApiRouter);
+    app.use('/api/admin', adminApiRouter);
+
+    // WhatsApp webhook callbacks and subscriber management
+    app.use('/api/whatsapp', whatsappApiRouter);
+
+    // Live game updates over Server-Sent Events
+    app.use('/api', eventsApiRouter);
+
+    // PGN exports; mounted before gameApi so /game/:gameId.pgn is not taken for a game ID
+    app.use('/api', pgnApiRouter);
+
+    // Standings and crosstables
+    app.use('/api', standingsApiRouter);
+
+    // Player profiles
+    app.use('/api', playersApiRouter);
+
+    // Move-by-move position history
+    app.use('/api', positionsApiRouter);
+
+    // Notable moments and tournament highlights
+    app.use('/api', momentsApiRouter);
+
+    // Most played openings
+    app.use('/api', openingsApiRouter);
+
+    // Board images drawn from the stored position
+    app.use('/api', boardImageApiRouter);
 
     // Use the gameApi router
     app.use('/api', gameApiRouter); // Add this line
 
     // Start the Express server
     app.listen(port, () => {
-      console.log(`Server running at http://localhost:${port}`);
-      console.log('All services started successfully');
+      logger.info(`Server running at http://localhost:${port}`);
+      logger.info('All services started successfully');
     });
   } catch (error) {
-    console.error('Error starting services:', error);
+    logger.error('Error starting services:', error);
     // Instead of exiting, we'll retry the connection after a delay
-    console.log('Retrying in 30 seconds...');
+    logger.info('Retrying in 30 seconds...');
     setTimeout(startServices, 30000);
   }
 }
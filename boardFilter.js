@@ -0,0 +1,91 @@
+// boardFilter.js
+
+// A board filter decides which boards are "featured" and get commentary and images.
+// Shape: { topBoards: 10, players: ['Carlsen', 'Nepomniachtchi'], minRating: 2600 }
+// A board is featured when it matches any configured criterion; no filter features every board.
+// An empty players list is no criterion, so it cannot switch commentary off for the whole tournament.
+
+function normalizeName(name) {
+  return (name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function normalizeBoardFilter(input) {
+  if (input === null || input === undefined) {
+    return null;
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Board filter must be an object');
+  }
+
+  const boardFilter = {};
+
+  if (input.topBoards !== undefined) {
+    if (!Number.isInteger(input.topBoards) || input.topBoards < 1) {
+      throw new Error('topBoards must be a positive integer');
+    }
+    boardFilter.topBoards = input.topBoards;
+  }
+
+  if (input.players !== undefined) {
+    if (!Array.isArray(input.players) || !input.players.every((player) => typeof player === 'string')) {
+      throw new Error('players must be an array of player names');
+    }
+    const players = input.players.map(normalizeName).filter(Boolean);
+    if (players.length > 0) {
+      boardFilter.players = players;
+    }
+  }
+
+  if (input.minRating !== undefined) {
+    if (typeof input.minRating !== 'number' || input.minRating < 0) {
+      throw new Error('minRating must be a non-negative number');
+    }
+    boardFilter.minRating = input.minRating;
+  }
+
+  return Object.keys(boardFilter).length > 0 ? boardFilter : null;
+}
+
+function hasCriteria(boardFilter) {
+  return Boolean(boardFilter.topBoards) ||
+    (Array.isArray(boardFilter.players) && boardFilter.players.length > 0) ||
+    boardFilter.minRating !== undefined;
+}
+
+// Filters stored before empty lists were dropped are read the same way
+function isFeaturedBoard(boardFilter, gameState) {
+  if (!boardFilter || !hasCriteria(boardFilter)) {
+    return true;
+  }
+
+  if (boardFilter.topBoards && gameState.board <= boardFilter.topBoards) {
+    return true;
+  }
+
+  if (boardFilter.players && boardFilter.players.length > 0) {
+    const whiteName = normalizeName(gameState.whiteName);
+    const blackName = normalizeName(gameState.blackName);
+    const followsPlayer = boardFilter.players.some(
+      (player) => whiteName.includes(player) || blackName.includes(player)
+    );
+    if (followsPlayer) {
+      return true;
+    }
+  }
+
+  // Ratings are only known when the feed publishes them; unrated boards never meet the minimum
+  if (boardFilter.minRating !== undefined) {
+    const ratings = [gameState.whiteRating, gameState.blackRating].filter((rating) => typeof rating === 'number');
+    if (ratings.some((rating) => rating >= boardFilter.minRating)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  normalizeBoardFilter,
+  isFeaturedBoard,
+};
@@ -0,0 +1,52 @@
+// boardImageApi.js
+
+const express = require('express');
+const router = express.Router();
+const { getGameRepository } = require('./gameRepository');
+const { THEMES, renderBoardSvg, renderBoardPng } = require('./boardRenderer');
+const logger = require('./logger');
+
+const IMAGE_FIELDS = ['latestFEN', 'whiteName', 'blackName', 'lastMove', 'commentaries'];
+
+// Current position of a game, drawn in process. ?format=png (default) or svg, ?theme=classic|green|blue
+router.get('/game/:gameId/image', async (req, res) => {
+  const format = req.query.format || 'png';
+  if (!['png', 'svg'].includes(format)) {
+    return res.status(400).json({ error: 'format must be png or svg' });
+  }
+  if (req.query.theme && !Object.hasOwn(THEMES, req.query.theme)) {
+    return res.status(400).json({ error: `theme must be one of ${Object.keys(THEMES).join(', ')}` });
+  }
+
+  try {
+    const repository = await getGameRepository();
+    const game = await repository.getGame(req.params.gameId, { fields: IMAGE_FIELDS });
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    if (!game.latestFEN) {
+      return res.status(404).json({ error: 'Game has no position yet' });
+    }
+
+    const options = {
+      fen: game.latestFEN,
+      whiteName: game.whiteName,
+      blackName: game.blackName,
+      evaluation: (game.commentaries || []).slice(-1)[0]?.stockfishEval ?? null,
+      highlightSquares: game.lastMove ? game.lastMove.match(/.{1,2}/g) : [],
+      theme: req.query.theme,
+    };
+
+    res.set('Cache-Control', 'no-cache');
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(renderBoardSvg(options));
+    } else {
+      res.type('image/png').send(renderBoardPng(options));
+    }
+  } catch (error) {
+    logger.error(`Error rendering image of game ${req.params.gameId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
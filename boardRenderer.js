@@ -0,0 +1,497 @@
+// boardRenderer.js
+
+const zlib = require('zlib');
+
+// Colours of every part of the image. Themes can be added at runtime with registerTheme.
+const THEMES = {
+  classic: {
+    background: '#302e2b',
+    text: '#ffffff',
+    lightSquare: '#f0d9b5',
+    darkSquare: '#b58863',
+    lightHighlight: '#cdd26a',
+    darkHighlight: '#aaa23a',
+    whitePiece: '#ffffff',
+    blackPiece: '#1e1e1e',
+    pieceOutline: '#000000',
+    evalWhite: '#f5f5f5',
+    evalBlack: '#404040',
+  },
+  green: {
+    background: '#262421',
+    text: '#ffffff',
+    lightSquare: '#eeeed2',
+    darkSquare: '#769656',
+    lightHighlight: '#f6f669',
+    darkHighlight: '#baca2b',
+    whitePiece: '#ffffff',
+    blackPiece: '#1e1e1e',
+    pieceOutline: '#000000',
+    evalWhite: '#f5f5f5',
+    evalBlack: '#404040',
+  },
+  blue: {
+    background: '#1b2838',
+    text: '#ffffff',
+    lightSquare: '#dee3e6',
+    darkSquare: '#8ca2ad',
+    lightHighlight: '#c3d888',
+    darkHighlight: '#92b166',
+    whitePiece: '#ffffff',
+    blackPiece: '#1e1e1e',
+    pieceOutline: '#000000',
+    evalWhite: '#f5f5f5',
+    evalBlack: '#404040',
+  },
+};
+
+const DEFAULT_THEME = process.env.BOARD_THEME || 'classic';
+
+const SQUARE_SIZE = 48;
+const PADDING = 8;
+const EVAL_BAR_WIDTH = 16;
+const LABEL_HEIGHT = 28;
+const FONT_SCALE = 2;
+
+// 16x16 piece sprites: x is the piece colour, o the outline
+const PIECE_SPRITES = {
+  p: [
+    '................',
+    '................',
+    '................',
+    '......oooo......',
+    '.....oxxxxo.....',
+    '.....oxxxxo.....',
+    '......oxxo......',
+    '.....oxxxxo.....',
+    '......oxxo......',
+    '......oxxo......',
+    '.....oxxxxo.....',
+    '....oxxxxxxo....',
+    '...oxxxxxxxxo...',
+    '...oooooooooo...',
+    '................',
+    '................',
+  ],
+  n: [
+    '................',
+    '................',
+    '.......oo.......',
+    '......oxxoo.....',
+    '.....oxxxxxo....',
+    '....oxxoxxxxo...',
+    '...oxxxxxxxxo...',
+    '..oxxxxxxxxxo...',
+    '..oxxoooxxxxo...',
+    '...oo.oxxxxxo...',
+    '......oxxxxxo...',
+    '.....oxxxxxxo...',
+    '....oxxxxxxxxo..',
+    '....oooooooooo..',
+    '................',
+    '................',
+  ],
+  b: [
+    '................',
+    '................',
+    '.......oo.......',
+    '......oxxo......',
+    '.....oxxoxo.....',
+    '.....oxoxxo.....',
+    '.....oxxxxo.....',
+    '......oxxo......',
+    '.....oxxxxo.....',
+    '......oxxo......',
+    '......oxxo......',
+    '.....oxxxxo.....',
+    '...oxxxxxxxxo...',
+    '...oooooooooo...',
+    '................',
+    '................',
+  ],
+  r: [
+    '................',
+    '................',
+    '..ooo.oooo.ooo..',
+    '..oxo.oxxo.oxo..',
+    '..oxoooxxoooxo..',
+    '..oxxxxxxxxxxo..',
+    '...oxxxxxxxxo...',
+    '....oxxxxxxo....',
+    '....oxxxxxxo....',
+    '....oxxxxxxo....',
+    '....oxxxxxxo....',
+    '...oxxxxxxxxo...',
+    '..oxxxxxxxxxxo..',
+    '..oooooooooooo..',
+    '................',
+    '................',
+  ],
+  q: [
+    '................',
+    '................',
+    '..o....oo....o..',
+    '..oo..oxxo..oo..',
+    '..oxooxxxxooxo..',
+    '..oxxxxxxxxxxo..',
+    '...oxxxxxxxxo...',
+    '....oxxxxxxo....',
+    '....oxxxxxxo....',
+    '.....oxxxxo.....',
+    '.....oxxxxo.....',
+    '....oxxxxxxo....',
+    '...oxxxxxxxxo...',
+    '...oooooooooo...',
+    '................',
+    '................',
+  ],
+  k: [
+    '................',
+    '.......oo.......',
+    '.....oooooo.....',
+    '.......oo.......',
+    '..ooo..oo..ooo..',
+    '.oxxxooxxooxxxo.',
+    '.oxxxxxxxxxxxxo.',
+    '.oxxxxxxxxxxxxo.',
+    '..oxxxxxxxxxxo..',
+    '...oxxxxxxxxo...',
+    '....oxxxxxxo....',
+    '....oxxxxxxo....',
+    '...oxxxxxxxxo...',
+    '...oooooooooo...',
+    '................',
+    '................',
+  ],
+};
+const SPRITE_SIZE = 16;
+
+// 5x7 bitmap font for PNG labels; other characters are folded onto these or drawn as '?'
+const FONT = {
+  A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  B: ['11110', '10001', '10001', '11110', '10001', '10001', '11110'],
+  C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+  D: ['11110', '10001', '10001', '10001', '10001', '10001', '11110'],
+  E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  F: ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+  G: ['01110', '10001', '10000', '10111', '10001', '10001', '01111'],
+  H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  I: ['01110', '00100', '00100', '00100', '00100', '00100', '01110'],
+  J: ['00111', '00010', '00010', '00010', '00010', '10010', '01100'],
+  K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+  L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+  M: ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+  N: ['10001', '10001', '11001', '10101', '10011', '10001', '10001'],
+  O: ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+  P: ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+  Q: ['01110', '10001', '10001', '10001', '10101', '10010', '01101'],
+  R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+  S: ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+  T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+  U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+  V: ['10001', '10001', '10001', '10001', '10001', '01010', '00100'],
+  W: ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+  X: ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+  Y: ['10001', '10001', '01010', '00100', '00100', '00100', '00100'],
+  Z: ['11111', '00001', '00010', '00100', '01000', '10000', '11111'],
+  0: ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  1: ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  2: ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  3: ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+  4: ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  5: ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  6: ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  7: ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  8: ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  9: ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000'],
+  '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+  '+': ['00000', '00100', '00100', '11111', '00100', '00100', '00000'],
+  '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+  ',': ['00000', '00000', '00000', '00000', '01100', '00100', '01000'],
+  "'": ['00100', '00100', '01000', '00000', '00000', '00000', '00000'],
+  '(': ['00010', '00100', '01000', '01000', '01000', '00100', '00010'],
+  ')': ['01000', '00100', '00010', '00010', '00010', '00100', '01000'],
+  '/': ['00001', '00001', '00010', '00100', '01000', '10000', '10000'],
+  ':': ['00000', '01100', '01100', '00000', '01100', '01100', '00000'],
+  '#': ['01010', '01010', '11111', '01010', '11111', '01010', '01010'],
+  '=': ['00000', '00000', '11111', '00000', '11111', '00000', '00000'],
+  '?': ['01110', '10001', '00001', '00010', '00100', '00000', '00100'],
+};
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+function registerTheme(name, theme) {
+  THEMES[name] = { ...THEMES.classic, ...theme };
+}
+
+// Own keys only, so names such as "toString" or "constructor" fall back to the default
+function getTheme(name) {
+  if (Object.hasOwn(THEMES, name)) {
+    return THEMES[name];
+  }
+  return Object.hasOwn(THEMES, DEFAULT_THEME) ? THEMES[DEFAULT_THEME] : THEMES.classic;
+}
+
+// 8x8 array from rank 8 to rank 1, each square null or { type, color }
+function parsePlacement(fen) {
+  const rows = String(fen || '').split(' ')[0].split('/');
+  if (rows.length !== 8) {
+    throw new Error(`Invalid FEN: ${fen}`);
+  }
+  return rows.map((row) => {
+    const squares = [];
+    for (const char of row) {
+      if (/\d/.test(char)) {
+        squares.push(...Array(parseInt(char, 10)).fill(null));
+      } else {
+        squares.push({ type: char.toLowerCase(), color: char === char.toLowerCase() ? 'b' : 'w' });
+      }
+    }
+    if (squares.length !== 8) {
+      throw new Error(`Invalid FEN: ${fen}`);
+    }
+    return squares;
+  });
+}
+
+// Share of the eval bar that is White's; mate scores fill it
+function getWhiteShare(evaluation) {
+  if (typeof evaluation !== 'number') {
+    return 0.5;
+  }
+  return 1 / (1 + Math.exp(-0.4 * evaluation));
+}
+
+function formatEval(evaluation) {
+  if (typeof evaluation !== 'number') {
+    return '';
+  }
+  if (Math.abs(evaluation) >= 100) {
+    return evaluation > 0 ? '#+' : '#-';
+  }
+  return `${evaluation > 0 ? '+' : ''}${evaluation.toFixed(1)}`;
+}
+
+// Everything on the image as rectangles, pieces and text, in drawing order, so SVG and PNG match
+function layoutBoard({ fen, whiteName, blackName, evaluation, highlightSquares = [], theme }) {
+  const colors = getTheme(theme);
+  const board = parsePlacement(fen);
+  const highlighted = new Set((highlightSquares || []).filter((square) => /^[a-h][1-8]$/.test(square)));
+
+  const boardSize = 8 * SQUARE_SIZE;
+  const boardX = PADDING + EVAL_BAR_WIDTH + PADDING;
+  const boardY = LABEL_HEIGHT;
+  const width = boardX + boardSize + PADDING;
+  const height = LABEL_HEIGHT + boardSize + LABEL_HEIGHT;
+  const textY = (LABEL_HEIGHT - GLYPH_HEIGHT * FONT_SCALE) / 2;
+
+  const ops = [{ op: 'rect', x: 0, y: 0, width, height, color: colors.background }];
+
+  const whiteHeight = Math.round(boardSize * getWhiteShare(evaluation));
+  ops.push({ op: 'rect', x: PADDING, y: boardY, width: EVAL_BAR_WIDTH, height: boardSize - whiteHeight, color: colors.evalBlack });
+  ops.push({ op: 'rect', x: PADDING, y: boardY + boardSize - whiteHeight, width: EVAL_BAR_WIDTH, height: whiteHeight, color: colors.evalWhite });
+
+  for (let row = 0; row < 8; row++) {
+    for (let file = 0; file < 8; file++) {
+      const square = `${'abcdefgh'[file]}${8 - row}`;
+      const light = (row + file) % 2 === 0;
+      const color = highlighted.has(square)
+        ? (light ? colors.lightHighlight : colors.darkHighlight)
+        : (light ? colors.lightSquare : colors.darkSquare);
+      const x = boardX + file * SQUARE_SIZE;
+      const y = boardY + row * SQUARE_SIZE;
+      ops.push({ op: 'rect', x, y, width: SQUARE_SIZE, height: SQUARE_SIZE, color });
+
+      const piece = board[row][file];
+      if (piece) {
+        ops.push({
+          op: 'piece',
+          x,
+          y,
+          size: SQUARE_SIZE,
+          type: piece.type,
+          color: piece.color === 'w' ? colors.whitePiece : colors.blackPiece,
+          outline: colors.pieceOutline,
+        });
+      }
+    }
+  }
+
+  ops.push({ op: 'text', x: boardX, y: textY, text: blackName || 'Black', color: colors.text });
+  ops.push({ op: 'text', x: boardX, y: boardY + boardSize + textY, text: whiteName || 'White', color: colors.text });
+  const evalText = formatEval(evaluation);
+  if (evalText) {
+    const evalWidth = evalText.length * (GLYPH_WIDTH + 1) * FONT_SCALE;
+    ops.push({ op: 'text', x: width - PADDING - evalWidth, y: boardY + boardSize + textY, text: evalText, color: colors.text });
+  }
+
+  return { width, height, ops };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// One path per colour, made of the sprite's horizontal runs
+function spriteToSvg({ x, y, size, type, color, outline }) {
+  const scale = size / SPRITE_SIZE;
+  const paths = { x: [], o: [] };
+  PIECE_SPRITES[type].forEach((row, rowIndex) => {
+    const runs = row.matchAll(/x+|o+/g);
+    for (const run of runs) {
+      paths[run[0][0]].push(`M${x + run.index * scale} ${y + rowIndex * scale}h${run[0].length * scale}v${scale}h${-run[0].length * scale}z`);
+    }
+  });
+  return `<path fill="${color}" d="${paths.x.join('')}"/><path fill="${outline}" d="${paths.o.join('')}"/>`;
+}
+
+function renderBoardSvg(options) {
+  const { width, height, ops } = layoutBoard(options);
+  const fontSize = GLYPH_HEIGHT * FONT_SCALE + 2;
+  const elements = ops.map((item) => {
+    switch (item.op) {
+      case 'rect':
+        return `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" fill="${item.color}"/>`;
+      case 'piece':
+        return spriteToSvg(item);
+      default:
+        return `<text x="${item.x}" y="${item.y + GLYPH_HEIGHT * FONT_SCALE}" fill="${item.color}" ` +
+          `font-family="sans-serif" font-size="${fontSize}" font-weight="bold">${escapeXml(item.text)}</text>`;
+    }
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">${elements.join('')}</svg>`;
+}
+
+function parseColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Accents are dropped and lower case is drawn as upper case
+function toGlyphs(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .toUpperCase()
+    .split('')
+    .map((char) => FONT[char] || FONT['?']);
+}
+
+function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  function fillRect(x, y, rectWidth, rectHeight, color) {
+    const [r, g, b] = parseColor(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(width, Math.round(x + rectWidth));
+    const y1 = Math.min(height, Math.round(y + rectHeight));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const offset = (py * width + px) * 3;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = b;
+      }
+    }
+  }
+
+  return { width, height, pixels, fillRect };
+}
+
+function drawSprite(canvas, { x, y, size, type, color, outline }) {
+  const scale = size / SPRITE_SIZE;
+  PIECE_SPRITES[type].forEach((row, rowIndex) => {
+    for (let column = 0; column < SPRITE_SIZE; column++) {
+      const cell = row[column];
+      if (cell !== '.') {
+        canvas.fillRect(x + column * scale, y + rowIndex * scale, scale, scale, cell === 'x' ? color : outline);
+      }
+    }
+  });
+}
+
+// Labels that do not fit are cut off at the image edge
+function drawText(canvas, { x, y, text, color }) {
+  toGlyphs(text).forEach((glyph, index) => {
+    const glyphX = x + index * (GLYPH_WIDTH + 1) * FONT_SCALE;
+    glyph.forEach((row, rowIndex) => {
+      for (let column = 0; column < GLYPH_WIDTH; column++) {
+        if (row[column] === '1') {
+          canvas.fillRect(glyphX + column * FONT_SCALE, y + rowIndex * FONT_SCALE, FONT_SCALE, FONT_SCALE, color);
+        }
+      }
+    });
+  });
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 255] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGB, every scanline unfiltered
+function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolour
+
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function renderBoardPng(options) {
+  const { width, height, ops } = layoutBoard(options);
+  const canvas = createCanvas(width, height);
+  for (const item of ops) {
+    if (item.op === 'rect') {
+      canvas.fillRect(item.x, item.y, item.width, item.height, item.color);
+    } else if (item.op === 'piece') {
+      drawSprite(canvas, item);
+    } else {
+      drawText(canvas, item);
+    }
+  }
+  return encodePng(canvas);
+}
+
+module.exports = {
+  THEMES,
+  registerTheme,
+  renderBoardSvg,
+  renderBoardPng,
+};
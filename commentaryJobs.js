@@ -0,0 +1,247 @@
+// commentaryJobs.js
+
+const { connectToDatabase } = require('./database');
+const { getGameRepository } = require('./gameRepository');
+const { generateAndUploadImage, isCheckmate } = require('./services');
+const { getCommentary } = require('./evalProvider');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { publishEvents } = require('./events');
+const { setPositionCommentary, getPosition } = require('./positions');
+const { detectEvalMoments, recordMoments, setMomentMedia } = require('./moments');
+const logger = require('./logger');
+
+const COMMENTARY_JOB = 'commentary';
+const IMAGE_JOB = 'image';
+const PLY_COMMENTARY_JOB = 'plyCommentary';
+const MOMENT_JOB = 'moment';
+const MOMENT_PRIORITY = 10;
+
+function getEventSource(job) {
+  return {
+    tournamentId: job.payload.tournamentId,
+    round: job.payload.round,
+    board: job.payload.board,
+    gameId: job.gameId,
+  };
+}
+
+// Jobs queued before openings were classified carry none
+function getOpening(job) {
+  return { eco: job.payload.eco || null, openingName: job.payload.openingName || null };
+}
+
+// A job whose position is no longer the game's latest has been superseded by a newer move
+async function isCurrentPosition(repository, job) {
+  const game = await repository.getGame(job.gameId, { fields: ['latestFEN'] });
+  if (!game || game.latestFEN !== job.fen) {
+    logger.info(`Dropping ${job.type} job for game ${job.gameId}: position was superseded`);
+    return false;
+  }
+  return true;
+}
+
+async function generateCommentary(job) {
+  const db = await connectToDatabase();
+  const repository = await getGameRepository();
+  if (!(await isCurrentPosition(repository, job))) {
+    return;
+  }
+
+  const { lastMove, whiteName, blackName, result } = job.payload;
+  let commentary;
+  if (isCheckmate(job.fen)) {
+    commentary = {
+      commentary: `The game has ended in checkmate. ${result === '1-0' ? 'White' : 'Black'} wins.`,
+      stockfishEval: result === '1-0' ? 100 : -100,
+      evalProvider: 'checkmate',
+      depth: null,
+      bestLine: null,
+    };
+  } else {
+    commentary = await getCommentary(job.fen, lastMove, whiteName, blackName, getOpening(job));
+    if (!commentary) {
+      throw new Error('No eval provider returned commentary');
+    }
+  }
+
+  const added = await repository.addCommentary(job.gameId, job.fen, { ...commentary, ply: job.payload.ply, fen: job.fen });
+  if (!added) {
+    return;
+  }
+
+  await setPositionCommentary(db, job.gameId, job.payload.ply, job.fen, commentary);
+  await publishEvents(db, [{ ...getEventSource(job), type: 'commentary', data: { ...commentary, ply: job.payload.ply } }]);
+  await recordEvalMoments(db, job);
+  await enqueueJob(db, IMAGE_JOB, job.gameId, job.fen, { ...job.payload, stockfishEval: commentary.stockfishEval });
+}
+
+async function generateImage(job) {
+  const db = await connectToDatabase();
+  const repository = await getGameRepository();
+  if (!(await isCurrentPosition(repository, job))) {
+    return;
+  }
+
+  const { whiteName, blackName, stockfishEval, lastMove } = job.payload;
+  const imageMediaId = await generateAndUploadImage(
+    job.fen,
+    whiteName,
+    blackName,
+    stockfishEval,
+    lastMove?.match(/.{1,2}/g)
+  );
+  if (!imageMediaId) {
+    throw new Error('Image generation or upload failed');
+  }
+
+  if (!(await repository.setImage(job.gameId, job.fen, imageMediaId))) {
+    return;
+  }
+
+  await publishEvents(db, [{ ...getEventSource(job), type: 'image', data: { imageMediaId } }]);
+}
+
+// Commentary for a ply that was skipped because several moves arrived between two polls.
+// Unlike the latest position it is never superseded, and it gets no image.
+async function generatePlyCommentary(job) {
+  const db = await connectToDatabase();
+  const { ply, lastMove, whiteName, blackName } = job.payload;
+
+  const commentary = await getCommentary(job.fen, lastMove, whiteName, blackName, getOpening(job));
+  if (!commentary) {
+    throw new Error('No eval provider returned commentary');
+  }
+
+  await setPositionCommentary(db, job.gameId, ply, job.fen, commentary);
+  await publishEvents(db, [{ ...getEventSource(job), type: 'commentary', data: { ...commentary, ply } }]);
+  await recordEvalMoments(db, job);
+}
+
+// A new eval can complete a blunder, swing or missed win on this ply or the next one
+async function recordEvalMoments(db, job) {
+  const moments = await recordMoments(db, getEventSource(job), await detectEvalMoments(db, job.gameId, job.payload.ply));
+  for (const moment of moments) {
+    await enqueueMomentMedia(db, { ...job.payload, gameId: job.gameId }, moment);
+  }
+}
+
+// Commentary and an image for the position of a detected moment, ahead of regular commentary.
+// Commentary the position already has is reused.
+async function generateMomentMedia(job) {
+  const db = await connectToDatabase();
+  const { ply, lastMove, whiteName, blackName, momentKey } = job.payload;
+
+  const position = await getPosition(db, job.gameId, ply);
+  if (!position || position.fen !== job.fen) {
+    logger.info(`Dropping ${job.type} job for game ${job.gameId}: ply ${ply} was replaced`);
+    return;
+  }
+
+  let { commentary, eval: stockfishEval } = position;
+  if (!commentary) {
+    const generated = await getCommentary(job.fen, lastMove, whiteName, blackName, getOpening(job));
+    if (!generated) {
+      throw new Error('No eval provider returned commentary');
+    }
+    ({ commentary, stockfishEval } = generated);
+    await setPositionCommentary(db, job.gameId, ply, job.fen, generated);
+    await publishEvents(db, [{ ...getEventSource(job), type: 'commentary', data: { ...generated, ply } }]);
+  }
+
+  const imageMediaId = await generateAndUploadImage(
+    job.fen,
+    whiteName,
+    blackName,
+    stockfishEval,
+    lastMove?.match(/.{1,2}/g)
+  );
+  if (!imageMediaId) {
+    throw new Error('Image generation or upload failed');
+  }
+
+  await setMomentMedia(job.gameId, momentKey, { commentary, imageMediaId });
+  await publishEvents(db, [
+    { ...getEventSource(job), type: 'highlight', data: { momentKey, ply, commentary, imageMediaId } },
+  ]);
+}
+
+async function enqueueMomentMedia(db, gameState, moment) {
+  const position = await getPosition(db, gameState.gameId, moment.ply);
+  await enqueueJob(
+    db,
+    MOMENT_JOB,
+    gameState.gameId,
+    moment.fen,
+    {
+      tournamentId: gameState.tournamentId,
+      round: gameState.round,
+      board: gameState.board,
+      ply: moment.ply,
+      lastMove: position?.lan,
+      whiteName: gameState.whiteName,
+      blackName: gameState.blackName,
+      eco: gameState.eco,
+      openingName: gameState.openingName,
+      momentKey: moment.key,
+    },
+    // A blunder and an eval swing on the same ply share a position but each get their media
+    { supersede: false, priority: MOMENT_PRIORITY, key: moment.key }
+  );
+}
+
+async function enqueuePlyCommentary(db, gameState, position) {
+  await enqueueJob(
+    db,
+    PLY_COMMENTARY_JOB,
+    gameState.gameId,
+    position.fen,
+    {
+      tournamentId: gameState.tournamentId,
+      round: gameState.round,
+      board: gameState.board,
+      ply: position.ply,
+      lastMove: position.lan,
+      whiteName: gameState.whiteName,
+      blackName: gameState.blackName,
+      eco: gameState.eco,
+      openingName: gameState.openingName,
+    },
+    // A position repeated later in the game (threefold) still needs commentary at its new ply
+    { supersede: false, key: `ply-${position.ply}` }
+  );
+}
+
+// Queues commentary for the game's latest position; the image job follows once commentary is stored
+async function enqueueCommentary(db, gameState) {
+  if (gameState.moves.length === 0) {
+    return;
+  }
+
+  await enqueueJob(db, COMMENTARY_JOB, gameState.gameId, gameState.latestFEN, {
+    tournamentId: gameState.tournamentId,
+    round: gameState.round,
+    board: gameState.board,
+    ply: gameState.moves.length,
+    lastMove: gameState.lastMove,
+    whiteName: gameState.whiteName,
+    blackName: gameState.blackName,
+    eco: gameState.eco,
+    openingName: gameState.openingName,
+    result: gameState.result,
+  });
+}
+
+function registerCommentaryJobs() {
+  // Same schedule as the old inline retry: 3 attempts, 5 and 10 seconds apart
+  registerJobHandler(COMMENTARY_JOB, generateCommentary, { maxAttempts: 3, retryDelay: 5000 });
+  registerJobHandler(IMAGE_JOB, generateImage, { maxAttempts: 3, retryDelay: 5000 });
+  registerJobHandler(PLY_COMMENTARY_JOB, generatePlyCommentary, { maxAttempts: 3, retryDelay: 5000 });
+  registerJobHandler(MOMENT_JOB, generateMomentMedia, { maxAttempts: 3, retryDelay: 5000 });
+}
+
+module.exports = {
+  enqueueCommentary,
+  enqueuePlyCommentary,
+  enqueueMomentMedia,
+  registerCommentaryJobs,
+};
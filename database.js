@@ -3,28 +3,52 @@
 const { MongoClient } = require('mongodb');
 const logger = require('./logger');
 
-let dbInstance = null;
+const MONGO_SERVER_SELECTION_TIMEOUT = parseInt(process.env.MONGO_SERVER_SELECTION_TIMEOUT, 10) || 10000; // ms
 
-async function connectToDatabase() {
-  if (dbInstance) {
-    return dbInstance;
-  }
+// Concurrent callers share one connection attempt. The driver reconnects by itself after a dropped
+// connection; a failed first attempt or a closed client is forgotten so the next call connects again.
+let dbPromise = null;
+let client = null;
+
+async function connect() {
+  const newClient = new MongoClient(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: MONGO_SERVER_SELECTION_TIMEOUT,
+  });
+  newClient.on('topologyClosed', () => {
+    if (client === newClient) {
+      logger.warn('MongoDB connection closed, reconnecting on next use');
+      client = null;
+      dbPromise = null;
+    }
+  });
+
+  await newClient.connect();
+  client = newClient;
+  logger.info('Connected to MongoDB');
+  return newClient.db(process.env.DB_NAME);
+}
 
-  try {
-    const client = await MongoClient.connect(process.env.MONGODB_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
+async function connectToDatabase() {
+  if (!dbPromise) {
+    dbPromise = connect().catch((error) => {
+      dbPromise = null;
+      logger.error('Error connecting to MongoDB:', error);
+      throw error;
     });
+  }
+  return dbPromise;
+}
 
-    dbInstance = client.db(process.env.DB_NAME);
-    logger.info('Connected to MongoDB');
-    return dbInstance;
-  } catch (error) {
-    logger.error('Error connecting to MongoDB:', error);
-    throw error;
+async function closeDatabase() {
+  const closing = client;
+  client = null;
+  dbPromise = null;
+  if (closing) {
+    await closing.close();
   }
 }
 
 module.exports = {
   connectToDatabase,
+  closeDatabase,
 };
@@ -0,0 +1,166 @@
+// engine.js
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const logger = require('./logger');
+
+const ENGINE_PATH = process.env.ENGINE_PATH || 'stockfish';
+const ENGINE_DEPTH = parseInt(process.env.ENGINE_DEPTH, 10) || 18;
+const ENGINE_MOVETIME = parseInt(process.env.ENGINE_MOVETIME, 10) || 2000; // ms per position
+const ENGINE_THREADS = parseInt(process.env.ENGINE_THREADS, 10) || 1;
+const ENGINE_HASH = parseInt(process.env.ENGINE_HASH, 10) || 64; // MB
+const ENGINE_STARTUP_TIMEOUT = 10000;
+const ENGINE_SEARCH_TIMEOUT = ENGINE_MOVETIME + 10000;
+
+let engine = null;
+// Searches run one at a time on the single engine process
+let searchQueue = Promise.resolve();
+
+function createEngineProcess() {
+  const child = spawn(ENGINE_PATH, [], { stdio: ['pipe', 'pipe', 'ignore'] });
+  const listeners = new Set();
+  const instance = {
+    child,
+    send(command) {
+      child.stdin.write(`${command}\n`);
+    },
+    // Resolves with the first line the predicate accepts; every line before it is passed to the predicate too
+    waitFor(predicate, timeout) {
+      return new Promise((resolve, reject) => {
+        const listener = {
+          onLine(line) {
+            if (predicate(line)) {
+              finish();
+              resolve(line);
+            }
+          },
+          onExit(error) {
+            finish();
+            reject(error);
+          },
+        };
+        const timer = setTimeout(() => {
+          finish();
+          reject(new Error(`Engine did not answer within ${timeout}ms`));
+        }, timeout);
+        function finish() {
+          clearTimeout(timer);
+          listeners.delete(listener);
+        }
+        listeners.add(listener);
+      });
+    },
+  };
+
+  readline.createInterface({ input: child.stdout }).on('line', (line) => {
+    for (const listener of [...listeners]) {
+      listener.onLine(line.trim());
+    }
+  });
+
+  const onExit = (error) => {
+    if (engine === instance) {
+      engine = null;
+    }
+    for (const listener of [...listeners]) {
+      listener.onExit(error);
+    }
+  };
+  child.on('error', (error) => onExit(new Error(`Engine ${ENGINE_PATH} failed: ${error.message}`)));
+  child.on('exit', (code) => onExit(new Error(`Engine ${ENGINE_PATH} exited with code ${code}`)));
+  child.stdin.on('error', () => {});
+
+  return instance;
+}
+
+async function getEngine() {
+  if (engine) {
+    return engine;
+  }
+
+  const instance = createEngineProcess();
+  try {
+    instance.send('uci');
+    await instance.waitFor((line) => line === 'uciok', ENGINE_STARTUP_TIMEOUT);
+    instance.send(`setoption name Threads value ${ENGINE_THREADS}`);
+    instance.send(`setoption name Hash value ${ENGINE_HASH}`);
+    instance.send('isready');
+    await instance.waitFor((line) => line === 'readyok', ENGINE_STARTUP_TIMEOUT);
+  } catch (error) {
+    instance.child.kill();
+    throw error;
+  }
+
+  logger.info(`Started UCI engine ${ENGINE_PATH}`);
+  engine = instance;
+  return engine;
+}
+
+// "info depth 20 ... score cp 35 ... pv e2e4 e7e5" -> { depth, cp, mate, pv }
+function parseInfoLine(line) {
+  const tokens = line.split(/\s+/);
+  const info = { depth: null, cp: null, mate: null, pv: [] };
+
+  for (let index = 1; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token === 'depth') {
+      info.depth = parseInt(tokens[++index], 10);
+    } else if (token === 'multipv') {
+      info.multipv = parseInt(tokens[++index], 10);
+    } else if (token === 'score') {
+      const kind = tokens[++index];
+      const value = parseInt(tokens[++index], 10);
+      if (kind === 'cp') {
+        info.cp = value;
+      } else if (kind === 'mate') {
+        info.mate = value;
+      }
+    } else if (token === 'pv') {
+      info.pv = tokens.slice(index + 1);
+      break;
+    }
+  }
+  return info;
+}
+
+async function runSearch(fen) {
+  const instance = await getEngine();
+  let latestInfo = null;
+
+  instance.send(`position fen ${fen}`);
+  instance.send(`go depth ${ENGINE_DEPTH} movetime ${ENGINE_MOVETIME}`);
+
+  try {
+    await instance.waitFor((line) => {
+      if (line.startsWith('info ') && line.includes(' score ')) {
+        const info = parseInfoLine(line);
+        if (!info.multipv || info.multipv === 1) {
+          latestInfo = info;
+        }
+      }
+      return line.startsWith('bestmove');
+    }, ENGINE_SEARCH_TIMEOUT);
+  } catch (error) {
+    // A hung engine is replaced on the next search
+    instance.child.kill();
+    throw error;
+  }
+
+  if (!latestInfo) {
+    throw new Error('Engine returned no score');
+  }
+  return latestInfo;
+}
+
+// Scores are from the side to move: { depth, cp, mate, pv } with pv in UCI notation
+function analysePosition(fen) {
+  const search = searchQueue.then(() => runSearch(fen));
+  searchQueue = search.catch(() => {});
+  return search;
+}
+
+module.exports = {
+  ENGINE_DEPTH,
+  ENGINE_MOVETIME,
+  analysePosition,
+};
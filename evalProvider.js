@@ -0,0 +1,95 @@
+// evalProvider.js
+
+const { Chess } = require('chess.js');
+const { fetchCommentary } = require('./services');
+const { analysePosition } = require('./engine');
+const logger = require('./logger');
+
+// Mate scores use the same value as the canned checkmate commentary
+const MATE_EVAL = 100;
+
+// Tried in order until one returns an eval, e.g. "api,engine" for an engine fallback
+// or "engine" to evaluate locally only
+const EVAL_PROVIDERS = (process.env.EVAL_PROVIDERS || 'api')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+function formatEval(stockfishEval, mate) {
+  if (mate !== null) {
+    return `#${stockfishEval > 0 ? '' : '-'}${Math.abs(mate)}`;
+  }
+  return `${stockfishEval > 0 ? '+' : ''}${stockfishEval.toFixed(2)}`;
+}
+
+function toSanLine(fen, pv) {
+  const chess = new Chess(fen);
+  const line = [];
+  for (const move of pv) {
+    try {
+      line.push(chess.move({ from: move.slice(0, 2), to: move.slice(2, 4), promotion: move[4] }).san);
+    } catch (error) {
+      break;
+    }
+  }
+  return line;
+}
+
+async function evaluateWithApi(fen, lastMove, whiteName, blackName, opening) {
+  const commentary = await fetchCommentary(fen, lastMove, whiteName, blackName, opening);
+  if (!commentary) {
+    return null;
+  }
+  // The commentary API does not report its search depth or line
+  return { ...commentary, evalProvider: 'api', depth: null, bestLine: null };
+}
+
+// The engine has no prose, so the commentary states the eval and the line it expects
+async function evaluateWithEngine(fen) {
+  const { depth, cp, mate, pv } = await analysePosition(fen);
+  // Engine scores are from the side to move; stored evals are from White's point of view
+  const sign = fen.split(' ')[1] === 'b' ? -1 : 1;
+  const stockfishEval = mate !== null ? sign * (mate > 0 ? MATE_EVAL : -MATE_EVAL) : sign * (cp / 100);
+  const bestLine = toSanLine(fen, pv);
+
+  return {
+    commentary: `Engine evaluation ${formatEval(stockfishEval, mate)} at depth ${depth}.` +
+      (bestLine.length > 0 ? ` Best line: ${bestLine.join(' ')}.` : ''),
+    stockfishEval,
+    evalProvider: 'engine',
+    depth,
+    bestLine,
+  };
+}
+
+const providers = {
+  api: evaluateWithApi,
+  engine: evaluateWithEngine,
+};
+
+// Commentary and eval for a position from the first configured provider that answers, or null
+async function getCommentary(fen, lastMove, whiteName, blackName, opening = {}) {
+  for (const name of EVAL_PROVIDERS) {
+    const provider = providers[name];
+    if (!provider) {
+      logger.warn(`Unknown eval provider ${name}`);
+      continue;
+    }
+
+    try {
+      const result = await provider(fen, lastMove, whiteName, blackName, opening);
+      if (result) {
+        return result;
+      }
+      logger.warn(`Eval provider ${name} returned nothing for ${fen}`);
+    } catch (error) {
+      logger.warn(`Eval provider ${name} failed for ${fen}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  EVAL_PROVIDERS,
+  getCommentary,
+};
@@ -0,0 +1,124 @@
+// events.js
+
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+const EVENTS_COLLECTION = process.env.EVENTS_COLLECTION || 'gameEvents';
+const COUNTERS_COLLECTION = 'counters';
+const EVENT_RETENTION_SECONDS = parseInt(process.env.EVENT_RETENTION_SECONDS, 10) || 86400; // 1 day
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let indexesReady = null;
+let publishQueue = Promise.resolve();
+
+function ensureEventIndexes(db) {
+  if (!indexesReady) {
+    const collection = db.collection(EVENTS_COLLECTION);
+    indexesReady = Promise.all([
+      collection.createIndex({ seq: 1 }, { unique: true }),
+      collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_SECONDS }),
+    ]).catch((error) => {
+      indexesReady = null;
+      throw error;
+    });
+  }
+  return indexesReady;
+}
+
+// Reserves `count` consecutive sequence numbers and returns the first one
+async function reserveSequence(db, count) {
+  const result = await db.collection(COUNTERS_COLLECTION).findOneAndUpdate(
+    { _id: EVENTS_COLLECTION },
+    { $inc: { seq: count } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return result.value.seq - count + 1;
+}
+
+// Stores the events with increasing sequence numbers, then pushes them to live subscribers.
+// Publishes run one at a time: trackers, backfills and job workers all publish, and subscribers
+// drop anything below the last seq they sent, so events must be stored and emitted in seq order.
+function publishEvents(db, events) {
+  if (events.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  publishQueue = publishQueue.catch(() => {}).then(() => storeAndEmit(db, events));
+  return publishQueue;
+}
+
+async function storeAndEmit(db, events) {
+  await ensureEventIndexes(db);
+  const firstSeq = await reserveSequence(db, events.length);
+  const createdAt = new Date();
+  const storedEvents = events.map((event, index) => ({
+    ...event,
+    seq: firstSeq + index,
+    createdAt,
+  }));
+
+  await db.collection(EVENTS_COLLECTION).insertMany(storedEvents, { ordered: true });
+
+  for (const event of storedEvents) {
+    try {
+      emitter.emit('event', event);
+    } catch (error) {
+      logger.error(`Error delivering event ${event.seq} to subscribers:`, error);
+    }
+  }
+  return storedEvents;
+}
+
+function matchesFilter(event, filter) {
+  if (filter.tournamentId && event.tournamentId !== filter.tournamentId) {
+    return false;
+  }
+  if (filter.round && event.round !== filter.round) {
+    return false;
+  }
+  if (filter.gameId && event.gameId !== filter.gameId) {
+    return false;
+  }
+  return true;
+}
+
+function buildEventQuery(filter) {
+  const query = {};
+  if (filter.tournamentId) {
+    query.tournamentId = filter.tournamentId;
+  }
+  if (filter.round) {
+    query.round = filter.round;
+  }
+  if (filter.gameId) {
+    query.gameId = filter.gameId;
+  }
+  return query;
+}
+
+async function getEventsSince(db, seq, filter = {}) {
+  return db
+    .collection(EVENTS_COLLECTION)
+    .find({ ...buildEventQuery(filter), seq: { $gt: seq } })
+    .sort({ seq: 1 })
+    .toArray();
+}
+
+// Returns an unsubscribe function
+function subscribe(filter, listener) {
+  const handler = (event) => {
+    if (matchesFilter(event, filter)) {
+      listener(event);
+    }
+  };
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+}
+
+module.exports = {
+  publishEvents,
+  getEventsSince,
+  subscribe,
+};
@@ -0,0 +1,78 @@
+// eventsApi.js
+
+const express = require('express');
+const router = express.Router();
+const { connectToDatabase } = require('./database');
+const { getEventsSince, subscribe } = require('./events');
+const { parseRound } = require('./requestParams');
+const logger = require('./logger');
+
+const HEARTBEAT_INTERVAL = 15000; // 15 seconds
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// Server-Sent Events stream of game updates.
+// Filter with ?tournamentId=, ?round= and ?gameId=; a reconnecting client resumes after the
+// Last-Event-ID header (or ?lastEventId=) and receives every event it missed.
+router.get('/events', async (req, res) => {
+  const { round, error } = parseRound(req.query.round);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const filter = {
+    tournamentId: req.query.tournamentId,
+    round,
+    gameId: req.query.gameId,
+  };
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  // Buffer live events while missed ones are replayed, so nothing falls between the two
+  let lastSentSeq = Number.isNaN(lastEventId) ? null : lastEventId;
+  let buffered = [];
+  const unsubscribe = subscribe(filter, (event) => {
+    if (buffered) {
+      buffered.push(event);
+    } else if (lastSentSeq === null || event.seq > lastSentSeq) {
+      lastSentSeq = event.seq;
+      writeEvent(res, event);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    if (lastSentSeq !== null) {
+      const db = await connectToDatabase();
+      const missedEvents = await getEventsSince(db, lastSentSeq, filter);
+      for (const event of missedEvents) {
+        lastSentSeq = event.seq;
+        writeEvent(res, event);
+      }
+    }
+  } catch (error) {
+    logger.error('Error replaying missed events:', error);
+  }
+
+  for (const event of buffered) {
+    if (lastSentSeq === null || event.seq > lastSentSeq) {
+      lastSentSeq = event.seq;
+      writeEvent(res, event);
+    }
+  }
+  buffered = null;
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+// fileGameRepository.js
+
+const fs = require('fs');
+const path = require('path');
+const { GAME_SCHEMA_VERSION, upgradeGame, keepLegacyGameId } = require('./migrations');
+const logger = require('./logger');
+
+const FINISHED_RESULTS = ['1-0', '0-1', '1/2-1/2'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// JSON has no dates; timestamps come back as Date like they do from Mongo
+function reviveDates(key, value) {
+  return typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value;
+}
+
+function project(game, fields) {
+  if (!fields) {
+    return game;
+  }
+  const projected = { gameId: game.gameId };
+  for (const field of fields) {
+    if (game[field] !== undefined) {
+      projected[field] = game[field];
+    }
+  }
+  return projected;
+}
+
+function matchesFilters(game, tournamentId, { round, player, result, live, after } = {}) {
+  if (game.tournamentId !== tournamentId) {
+    return false;
+  }
+  if (round !== undefined && game.round !== round) {
+    return false;
+  }
+  if (player) {
+    const name = player.toLowerCase();
+    const matches = game.whitePlayerKey === player ||
+      game.blackPlayerKey === player ||
+      (game.whiteName || '').toLowerCase().includes(name) ||
+      (game.blackName || '').toLowerCase().includes(name);
+    if (!matches) {
+      return false;
+    }
+  }
+  if (result !== undefined) {
+    if (result === 'finished' ? !FINISHED_RESULTS.includes(game.result) : game.result !== result) {
+      return false;
+    }
+  }
+  if (live !== undefined && Boolean(game.isLive) !== live) {
+    return false;
+  }
+  if (after && compareGames(game, after) <= 0) {
+    return false;
+  }
+  return true;
+}
+
+function compareGames(a, b) {
+  return a.round - b.round || a.board - b.board || (a.gameId < b.gameId ? -1 : a.gameId > b.gameId ? 1 : 0);
+}
+
+// Every game in one JSON file, kept in memory and rewritten after each change. Meant for small
+// events and tests. It is not a Mongo-free mode: only games live here, and tournaments, rounds,
+// jobs, positions, events, players and subscribers still need Mongo.
+function createFileGameRepository(filePath) {
+  let games = new Map();
+  let archivedGames = [];
+  let writeQueue = Promise.resolve();
+
+  function load() {
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'), reviveDates);
+    const upgraded = (stored.games || []).map((game) => [game.gameId, upgradeGame(game)]);
+
+    // As in the Mongo migration, games that keep their ID take it before any game moves to a new one
+    games = new Map(upgraded.filter(([gameId, game]) => game.gameId === gameId).map(([gameId, game]) => [gameId, game]));
+    for (const [gameId, game] of upgraded) {
+      if (game.gameId !== gameId) {
+        const moved = games.has(game.gameId) ? keepLegacyGameId(game) : game;
+        games.set(moved.gameId, moved);
+      }
+    }
+    archivedGames = stored.archivedGames || [];
+  }
+
+  // Written to a temporary file and renamed, so a crash never leaves half a file behind. A failed
+  // write is reported to its caller only; the next write still runs and stores everything.
+  function persist() {
+    const contents = JSON.stringify({ games: [...games.values()], archivedGames });
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(`${filePath}.tmp`, contents);
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    });
+    return writeQueue;
+  }
+
+  // Applies the fields returned by change, if any; returns whether the game changed
+  async function modify(gameId, change) {
+    const game = games.get(gameId);
+    const fields = game && change(game);
+    if (!fields) {
+      return false;
+    }
+    games.set(gameId, { ...game, ...fields });
+    await persist();
+    return true;
+  }
+
+  return {
+    async init() {
+      load();
+      logger.info(`Loaded ${games.size} game(s) from ${filePath}`);
+      await persist();
+    },
+
+    async getGame(gameId, { fields } = {}) {
+      const game = games.get(gameId);
+      return game ? project(game, fields) : null;
+    },
+
+    async listGames(tournamentId, filters = {}, { limit, fields } = {}) {
+      const matching = [...games.values()]
+        .filter((game) => matchesFilters(game, tournamentId, filters))
+        .sort(compareGames);
+      return (limit ? matching.slice(0, limit) : matching).map((game) => ({
+        ...project(game, fields),
+        round: game.round,
+        board: game.board,
+      }));
+    },
+
+    async getRoundGames(tournamentId, round) {
+      return [...games.values()].filter((game) => game.tournamentId === tournamentId && game.round === round);
+    },
+
+    async getRoundCounts(tournamentId) {
+      const counts = new Map();
+      for (const game of games.values()) {
+        if (game.tournamentId !== tournamentId) {
+          continue;
+        }
+        if (!counts.has(game.round)) {
+          counts.set(game.round, { round: game.round, games: 0, live: 0, finished: 0 });
+        }
+        const count = counts.get(game.round);
+        count.games++;
+        count.live += game.isLive ? 1 : 0;
+        count.finished += FINISHED_RESULTS.includes(game.result) ? 1 : 0;
+      }
+      return [...counts.values()];
+    },
+
+    async saveGames(updates) {
+      if (updates.length === 0) {
+        return;
+      }
+      for (const update of updates) {
+        games.set(update.gameId, { ...games.get(update.gameId), ...update, schemaVersion: GAME_SCHEMA_VERSION });
+      }
+      await persist();
+    },
+
+    async updateGame(gameId, fields) {
+      const game = games.get(gameId);
+      if (!game) {
+        return;
+      }
+      const updated = { ...game, ...fields };
+      games.delete(gameId);
+      games.set(updated.gameId, updated);
+      await persist();
+    },
+
+    async getPlayerGames(playerKey, { tournamentId } = {}) {
+      return [...games.values()]
+        .filter((game) => game.whitePlayerKey === playerKey || game.blackPlayerKey === playerKey)
+        .filter((game) => !tournamentId || game.tournamentId === tournamentId)
+        .sort((a, b) => (a.tournamentId < b.tournamentId ? -1 : a.tournamentId > b.tournamentId ? 1 : a.round - b.round))
+        .map(({ moves, commentaries, whatsappDeliveries, ...game }) => game);
+    },
+
+    async addCommentary(gameId, fen, commentary) {
+      return modify(gameId, (game) => game.latestFEN === fen && {
+        commentaries: [...(game.commentaries || []), commentary],
+      });
+    },
+
+    async setImage(gameId, fen, imageMediaId) {
+      return modify(gameId, (game) => game.latestFEN === fen && { imageMediaId });
+    },
+
+    async addMoment(gameId, moment) {
+      return modify(gameId, (game) => !(game.moments || []).some(({ key }) => key === moment.key) && {
+        moments: [...(game.moments || []), moment],
+      });
+    },
+
+    async setMomentMedia(gameId, key, { commentary, imageMediaId }) {
+      await modify(gameId, (game) => (game.moments || []).some((moment) => moment.key === key) && {
+        moments: game.moments.map((moment) => (moment.key === key ? { ...moment, commentary, imageMediaId } : moment)),
+      });
+    },
+
+    async archiveGame(game, reason) {
+      archivedGames.push({ ...game, archivedAt: new Date(), archiveReason: reason });
+      games.delete(game.gameId);
+      await persist();
+    },
+  };
+}
+
+module.exports = {
+  createFileGameRepository,
+};
@@ -1,76 +1,272 @@
 const express = require('express');
 const router = express.Router();
-const { getDatabase } = require('./database');
-const ObjectId = require('mongodb').ObjectId;
+const { connectToDatabase } = require('./database');
+const { getGameRepository } = require('./gameRepository');
+const { getRoundStates } = require('./rounds');
+const { parseRound } = require('./requestParams');
+const logger = require('./logger');
 
-// Get all ongoing games for a tournament
-router.get('/tournament/:tournamentId/games', async (req, res) => {
-    try {
-        const db = await getDatabase();
-        const tournamentId = req.params.tournamentId;
-        const collection = db.collection(process.env.COLLECTION_NAME);
+/*
+ * Game response schema. Every field can be requested with ?fields=a,b,c; gameId is always included.
+ *
+ *   gameId           string   "<tournamentId>-<round>-<board>"
+ *   tournamentId     string
+ *   round            number
+ *   board            number
+ *   white, black     { name, title, rating, fideId, playerKey, clock }   clock in seconds or null
+ *   result           "1-0" | "0-1" | "1/2-1/2" | "ongoing" | "unknown"
+ *   isLive           boolean
+ *   latestFEN        string
+ *   lastMove         string   last move in LAN, e.g. "e2e4"
+ *   pgn              string   movetext without clocks
+ *   pgnWithClocks    string   movetext with [%clk] comments
+ *   eco              string   ECO code of the opening, e.g. "B90", or null
+ *   openingName      string   e.g. "Sicilian Defense: Najdorf Variation", or null
+ *   moves            [{ san, clock, seenAt }]
+ *   commentaries     [{ commentary, stockfishEval, evalProvider, depth, bestLine, ply, fen }]
+ *   latestCommentary the last entry of commentaries, or null
+ *   stockfishEval    number   eval of the latest commentary, or null
+ *   imageMediaId     string   WhatsApp media ID of the latest board image, or null
+ *   moments          [{ key, type, ply, color, san, fen, data, detectedAt }]
+ *   lastUpdated      date
+ *
+ * Lists answer { games: [...], nextCursor }; pass nextCursor back as ?cursor= for the next page.
+ */
 
-        const games = await collection.find({
-            tournamentId: tournamentId,
-            status: 'ongoing'
-        }).toArray();
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const FINISHED_RESULTS = ['1-0', '0-1', '1/2-1/2'];
+const RESULT_FILTERS = [...FINISHED_RESULTS, 'ongoing', 'finished'];
 
-        res.json(games);
-    } catch (error) {
-        console.error('Error fetching ongoing games:', error);
-        res.status(500).json({ error: 'Internal server error' });
+function getPlayer(game, color) {
+    return {
+        name: game[`${color}Name`],
+        title: game[`${color}Title`] || '',
+        rating: game[`${color}Rating`] || null,
+        fideId: game[`${color}FideId`] || '',
+        playerKey: game[`${color}PlayerKey`],
+        clock: game[`${color}Clock`] ?? null,
+    };
+}
+
+function getLatestCommentary(game) {
+    return (game.commentaries || []).slice(-1)[0] || null;
+}
+
+// Response field -> how it is built and which document fields it needs
+const FIELDS = {
+    tournamentId: { source: ['tournamentId'], build: (game) => game.tournamentId },
+    round: { source: ['round'], build: (game) => game.round },
+    board: { source: ['board'], build: (game) => game.board },
+    white: {
+        source: ['whiteName', 'whiteTitle', 'whiteRating', 'whiteFideId', 'whitePlayerKey', 'whiteClock'],
+        build: (game) => getPlayer(game, 'white'),
+    },
+    black: {
+        source: ['blackName', 'blackTitle', 'blackRating', 'blackFideId', 'blackPlayerKey', 'blackClock'],
+        build: (game) => getPlayer(game, 'black'),
+    },
+    result: { source: ['result'], build: (game) => game.result },
+    isLive: { source: ['isLive'], build: (game) => Boolean(game.isLive) },
+    latestFEN: { source: ['latestFEN'], build: (game) => game.latestFEN },
+    lastMove: { source: ['lastMove'], build: (game) => game.lastMove },
+    pgn: { source: ['latestPGN'], build: (game) => game.latestPGN },
+    pgnWithClocks: { source: ['latestPGNWithClocks'], build: (game) => game.latestPGNWithClocks },
+    eco: { source: ['eco'], build: (game) => game.eco || null },
+    openingName: { source: ['openingName'], build: (game) => game.openingName || null },
+    moves: { source: ['moves'], build: (game) => game.moves || [] },
+    commentaries: { source: ['commentaries'], build: (game) => game.commentaries || [] },
+    latestCommentary: { source: ['commentaries'], build: getLatestCommentary },
+    stockfishEval: {
+        source: ['commentaries'],
+        build: (game) => getLatestCommentary(game)?.stockfishEval ?? null,
+    },
+    imageMediaId: { source: ['imageMediaId'], build: (game) => game.imageMediaId || null },
+    moments: { source: ['moments'], build: (game) => game.moments || [] },
+    lastUpdated: { source: ['lastUpdated'], build: (game) => game.lastUpdated },
+};
+
+// Lists leave out the heavy fields unless they are asked for
+const LIST_FIELDS = Object.keys(FIELDS).filter((field) => !['moves', 'commentaries', 'moments'].includes(field));
+
+function parseFields(value, defaults) {
+    if (!value) {
+        return { fields: defaults };
     }
-});
+    const fields = value.split(',').map((field) => field.trim()).filter(Boolean);
+    const unknown = fields.filter((field) => field !== 'gameId' && !FIELDS[field]);
+    if (unknown.length > 0) {
+        return { error: `Unknown field(s): ${unknown.join(', ')}` };
+    }
+    return { fields: fields.filter((field) => field !== 'gameId') };
+}
 
-// Get details for a specific game
-router.get('/game/:gameId', async (req, res) => {
+// Document fields the repository has to read for the requested response fields
+function getSourceFields(fields) {
+    return [...new Set(fields.flatMap((field) => FIELDS[field].source))];
+}
+
+function formatGame(game, fields) {
+    const formatted = { gameId: game.gameId };
+    for (const field of fields) {
+        formatted[field] = FIELDS[field].build(game);
+    }
+    return formatted;
+}
+
+// Cursors are opaque to clients: the sort key of the last game of the previous page
+function encodeCursor(game) {
+    return Buffer.from(JSON.stringify([game.round, game.board, game.gameId])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
     try {
-        const db = await getDatabase();
-        const gameId = req.params.gameId;
-        const collection = db.collection(process.env.COLLECTION_NAME);
+        const [round, board, gameId] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!Number.isInteger(round) || !Number.isInteger(board) || typeof gameId !== 'string') {
+            return null;
+        }
+        return { round, board, gameId };
+    } catch (error) {
+        return null;
+    }
+}
 
-        const game = await collection.findOne({ _id: new ObjectId(gameId) });
+// Repository filters from ?round=, ?player=, ?result=, ?live= and ?cursor=, or { error }
+function parseFilters(query) {
+    const filters = {};
 
-        if (!game) {
-            return res.status(404).json({ error: 'Game not found' });
+    if (query.round !== undefined) {
+        const { round, error } = parseRound(query.round);
+        if (error) {
+            return { error };
+        }
+        filters.round = round;
+    }
+
+    if (query.player) {
+        // A player key from /api/players, or part of a player's name
+        filters.player = query.player;
+    }
+
+    if (query.result !== undefined) {
+        if (!RESULT_FILTERS.includes(query.result)) {
+            return { error: `result must be one of: ${RESULT_FILTERS.join(', ')}` };
         }
+        filters.result = query.result;
+    }
+
+    if (query.live !== undefined) {
+        if (!['true', 'false'].includes(query.live)) {
+            return { error: 'live must be true or false' };
+        }
+        filters.live = query.live === 'true';
+    }
 
+    if (query.cursor) {
+        filters.after = decodeCursor(query.cursor);
+        if (!filters.after) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    return { filters };
+}
+
+async function listGames(req, res, defaultQuery = {}) {
+    const { tournamentId } = req.params;
+    const { filters, error } = parseFilters({ ...req.query, ...defaultQuery });
+    const { fields, error: fieldsError } = parseFields(req.query.fields, LIST_FIELDS);
+    if (error || fieldsError) {
+        return res.status(400).json({ error: error || fieldsError });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    try {
+        const repository = await getGameRepository();
+        const games = await repository.listGames(tournamentId, filters, {
+            limit: limit + 1,
+            fields: getSourceFields(fields),
+        });
+
+        const page = games.slice(0, limit);
         res.json({
-            gameId: game._id,
-            tournamentId: game.tournamentId,
-            round: game.round,
-            whitePlayer: game.whitePlayer,
-            blackPlayer: game.blackPlayer,
-            status: game.status,
-            result: game.result,
-            pgn: game.pgn,
-            commentary: game.commentary,
-            stockfishEval: game.stockfishEval,
-            mediaId: game.mediaId
+            games: page.map((game) => formatGame(game, fields)),
+            nextCursor: games.length > limit ? encodeCursor(page[page.length - 1]) : null,
         });
     } catch (error) {
-        console.error('Error fetching game details:', error);
+        logger.error(`Error fetching games of tournament ${tournamentId}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Games of a tournament in round and board order, filtered with ?round=, ?player=, ?result= and ?live=
+router.get('/tournament/:tournamentId/games', (req, res) => listGames(req, res));
+
+// Finished games only; the other filters still apply
+router.get('/tournament/:tournamentId/results', (req, res) => listGames(req, res, { result: 'finished' }));
+
+// Every round with its game counts and lifecycle state
+router.get('/tournament/:tournamentId/rounds', async (req, res) => {
+    const { tournamentId } = req.params;
+
+    try {
+        const repository = await getGameRepository();
+        const [counts, roundStates] = await Promise.all([
+            repository.getRoundCounts(tournamentId),
+            getRoundStates(await connectToDatabase(), tournamentId),
+        ]);
+
+        const rounds = new Map();
+        for (const roundState of roundStates) {
+            rounds.set(roundState.round, {
+                round: roundState.round,
+                state: roundState.state || null,
+                startsAt: roundState.startsAt || null,
+                games: 0,
+                live: 0,
+                finished: 0,
+            });
+        }
+        for (const { round, games, live, finished } of counts) {
+            rounds.set(round, {
+                round,
+                state: null,
+                startsAt: null,
+                ...rounds.get(round),
+                games,
+                live,
+                finished,
+            });
+        }
+
+        res.json([...rounds.values()].sort((a, b) => a.round - b.round));
+    } catch (error) {
+        logger.error(`Error fetching rounds of tournament ${tournamentId}:`, error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get tournament results
-router.get('/tournament/:tournamentId/results', async (req, res) => {
+// Get details for a specific game; documents from before board-based IDs can still be fetched by _id
+router.get('/game/:gameId', async (req, res) => {
+    const { gameId } = req.params;
+    const { fields, error } = parseFields(req.query.fields, Object.keys(FIELDS));
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
     try {
-        const db = await getDatabase();
-        const tournamentId = req.params.tournamentId;
-        const collection = db.collection(process.env.COLLECTION_NAME);
+        const repository = await getGameRepository();
+        const game = await repository.getGame(gameId, { fields: getSourceFields(fields) });
 
-        const results = await collection.find({
-            tournamentId: tournamentId,
-            status: 'completed'
-        }).toArray();
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
 
-        res.json(results);
+        res.json(formatGame(game, fields));
     } catch (error) {
-        console.error('Error fetching tournament results:', error);
+        logger.error(`Error fetching game ${gameId}:`, error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
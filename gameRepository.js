@@ -0,0 +1,50 @@
+// gameRepository.js
+
+const path = require('path');
+const { connectToDatabase } = require('./database');
+const { createMongoGameRepository } = require('./mongoGameRepository');
+const { createFileGameRepository } = require('./fileGameRepository');
+const logger = require('./logger');
+
+// mongo (default) or file; the file backend keeps games in GAME_STORE_PATH. Only game documents
+// move to the file: tournaments, rounds, jobs, positions, events and the rest stay in Mongo, so
+// MONGODB_URI is required with either backend.
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'mongo';
+const GAME_STORE_PATH = process.env.GAME_STORE_PATH || path.join(__dirname, 'data', 'games.json');
+
+let repositoryPromise = null;
+
+function createGameRepository() {
+  switch (STORAGE_BACKEND) {
+    case 'mongo':
+      return createMongoGameRepository(connectToDatabase);
+    case 'file':
+      return createFileGameRepository(GAME_STORE_PATH);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND ${STORAGE_BACKEND}`);
+  }
+}
+
+// Where game documents are read and written. The first call creates indexes and migrates stored
+// games to the current schema; a failed start is retried on the next call.
+async function getGameRepository() {
+  if (!repositoryPromise) {
+    repositoryPromise = (async () => {
+      const repository = createGameRepository();
+      await repository.init();
+      logger.info(`Game storage: ${STORAGE_BACKEND}`);
+      if (STORAGE_BACKEND === 'file') {
+        logger.warn(`Only games are stored in ${GAME_STORE_PATH}; everything else is still stored in MongoDB`);
+      }
+      return repository;
+    })().catch((error) => {
+      repositoryPromise = null;
+      throw error;
+    });
+  }
+  return repositoryPromise;
+}
+
+module.exports = {
+  getGameRepository,
+};
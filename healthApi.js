@@ -0,0 +1,53 @@
+// healthApi.js
+
+const express = require('express');
+const router = express.Router();
+const { connectToDatabase } = require('./database');
+const { getUpdaterHealth } = require('./updateDatabase');
+const { renderMetrics } = require('./metrics');
+const logger = require('./logger');
+
+const MONGO_PING_TIMEOUT = 2000;
+
+// The timeout covers connecting too, so a hung connect cannot hang the probe
+async function checkMongo() {
+  let timer;
+  try {
+    await Promise.race([
+      connectToDatabase().then((db) => db.command({ ping: 1 })),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No reply from Mongo within ${MONGO_PING_TIMEOUT}ms`)), MONGO_PING_TIMEOUT);
+      }),
+    ]);
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Liveness: fails when the updater loop has stopped beating or a running tracker has stopped cycling.
+// An unreachable feed does not fail it; see feedReachable per tracker and the tournament_feed_reachable metric.
+router.get('/healthz', (req, res) => {
+  const updater = getUpdaterHealth();
+  res.status(updater.alive ? 200 : 503).json({ status: updater.alive ? 'ok' : 'updater stalled', updater });
+});
+
+// Readiness: Mongo answers and the updater loop and its trackers are running
+router.get('/readyz', async (req, res) => {
+  const [mongo, updater] = [await checkMongo(), getUpdaterHealth()];
+  const ready = mongo.ok && updater.alive;
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', mongo, updater });
+});
+
+router.get('/metrics', async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(await renderMetrics());
+  } catch (error) {
+    logger.error('Error rendering metrics:', error);
+    res.status(500).type('text/plain').send('Error rendering metrics\n');
+  }
+});
+
+module.exports = router;
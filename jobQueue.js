@@ -0,0 +1,243 @@
+// jobQueue.js
+
+const { ObjectId } = require('mongodb');
+const { connectToDatabase } = require('./database');
+const { defineMetric, incrementCounter, registerCollector } = require('./metrics');
+const logger = require('./logger');
+
+const JOBS_COLLECTION = process.env.JOBS_COLLECTION || 'jobs';
+const DEAD_JOBS_COLLECTION = process.env.DEAD_JOBS_COLLECTION || 'deadJobs';
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_POLL_INTERVAL = 1000; // 1 second
+const JOB_LOCK_DURATION = 120000; // 2 minutes before a running job is considered abandoned
+// Jobs were unique per type, game and position before they had a key
+const LEGACY_JOB_INDEX = 'type_1_gameId_1_fen_1';
+
+defineMetric('jobs_processed_total', 'counter', 'Jobs run by the workers, by type and outcome (succeeded, retried, dead)');
+
+const handlers = new Map();
+let indexesReady = null;
+let workersStarted = false;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function ensureJobIndexes(db) {
+  if (!indexesReady) {
+    const jobs = db.collection(JOBS_COLLECTION);
+    indexesReady = jobs
+      .dropIndex(LEGACY_JOB_INDEX)
+      .catch((error) => {
+        if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') {
+          throw error;
+        }
+      })
+      .then(() => Promise.all([
+        jobs.createIndex({ type: 1, gameId: 1, fen: 1, key: 1 }, { unique: true }),
+        jobs.createIndex({ status: 1, priority: -1, nextRunAt: 1 }),
+      ]))
+      .catch((error) => {
+        indexesReady = null;
+        throw error;
+      });
+  }
+  return indexesReady;
+}
+
+// Handlers receive the job document; throwing schedules a retry until maxAttempts is reached
+function registerJobHandler(type, handler, { maxAttempts = 3, retryDelay = 5000 } = {}) {
+  handlers.set(type, { handler, maxAttempts, retryDelay });
+}
+
+// Jobs are unique per type, game, position and key; the key tells apart jobs that share a position,
+// such as two moments on one ply. Unless supersede is false, queued jobs of the same type for older
+// positions of the game are dropped. Higher priority jobs are claimed first.
+async function enqueueJob(db, type, gameId, fen, payload = {}, { supersede = true, priority = 0, key = null } = {}) {
+  await ensureJobIndexes(db);
+  const jobs = db.collection(JOBS_COLLECTION);
+  const now = new Date();
+
+  if (supersede) {
+    const superseded = await jobs.deleteMany({ type, gameId, fen: { $ne: fen }, status: 'queued' });
+    if (superseded.deletedCount > 0) {
+      logger.info(`Dropped ${superseded.deletedCount} superseded ${type} job(s) for game ${gameId}`);
+    }
+  }
+
+  await jobs.updateOne(
+    { type, gameId, fen, key },
+    {
+      $setOnInsert: {
+        type,
+        gameId,
+        fen,
+        key,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        nextRunAt: now,
+        createdAt: now,
+      },
+      $max: { priority },
+    },
+    { upsert: true }
+  );
+}
+
+async function claimJob(db) {
+  const now = new Date();
+  const result = await db.collection(JOBS_COLLECTION).findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'queued', nextRunAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } },
+      ],
+    },
+    { $set: { status: 'running', lockedUntil: new Date(now.getTime() + JOB_LOCK_DURATION) } },
+    { sort: { priority: -1, nextRunAt: 1 }, returnDocument: 'after' }
+  );
+  return result.value;
+}
+
+async function processJob(db, job) {
+  const { handler, maxAttempts, retryDelay } = handlers.get(job.type);
+  const jobs = db.collection(JOBS_COLLECTION);
+
+  try {
+    await handler(job);
+    await jobs.deleteOne({ _id: job._id });
+    incrementCounter('jobs_processed_total', { type: job.type, outcome: 'succeeded' });
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    logger.warn(`Job ${job.type} for game ${job.gameId} failed (attempt ${attempts}/${maxAttempts}): ${error.message}`);
+
+    if (attempts >= maxAttempts) {
+      const { status, lockedUntil, ...deadJob } = job;
+      await db.collection(DEAD_JOBS_COLLECTION).insertOne({
+        ...deadJob,
+        attempts,
+        lastError: error.message,
+        failedAt: new Date(),
+      });
+      await jobs.deleteOne({ _id: job._id });
+      incrementCounter('jobs_processed_total', { type: job.type, outcome: 'dead' });
+      logger.error(`Job ${job.type} for game ${job.gameId} moved to dead-letter collection`);
+    } else {
+      incrementCounter('jobs_processed_total', { type: job.type, outcome: 'retried' });
+      await jobs.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: 'queued',
+            attempts,
+            lastError: error.message,
+            nextRunAt: new Date(Date.now() + retryDelay * attempts),
+          },
+          $unset: { lockedUntil: '' },
+        }
+      );
+    }
+  }
+}
+
+async function runWorker(workerNumber) {
+  while (true) {
+    try {
+      const db = await connectToDatabase();
+      const job = await claimJob(db);
+      if (!job) {
+        await sleep(JOB_POLL_INTERVAL);
+        continue;
+      }
+      await logger.withContext(
+        {
+          job: job.type,
+          jobId: String(job._id),
+          gameId: job.gameId,
+          tournamentId: job.payload?.tournamentId,
+          round: job.payload?.round,
+          board: job.payload?.board,
+        },
+        () => processJob(db, job)
+      );
+    } catch (error) {
+      logger.error(`Error in job worker ${workerNumber}:`, error);
+      await sleep(JOB_POLL_INTERVAL);
+    }
+  }
+}
+
+function startJobWorkers() {
+  if (workersStarted) {
+    return;
+  }
+  workersStarted = true;
+
+  for (let workerNumber = 1; workerNumber <= JOB_CONCURRENCY; workerNumber++) {
+    runWorker(workerNumber);
+  }
+  logger.info(`Started ${JOB_CONCURRENCY} job workers`);
+}
+
+async function getQueueStats(db) {
+  const counts = await db
+    .collection(JOBS_COLLECTION)
+    .aggregate([{ $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }])
+    .toArray();
+  const dead = await db.collection(DEAD_JOBS_COLLECTION).countDocuments();
+
+  return {
+    jobs: counts.map(({ _id, count }) => ({ type: _id.type, status: _id.status, count })),
+    dead,
+  };
+}
+
+registerCollector(async () => {
+  const { jobs, dead } = await getQueueStats(await connectToDatabase());
+  return [
+    {
+      name: 'job_queue_depth',
+      type: 'gauge',
+      help: 'Jobs on the queue by type and status',
+      samples: jobs.map(({ type, status, count }) => ({ labels: { type, status }, value: count })),
+    },
+    {
+      name: 'dead_jobs',
+      type: 'gauge',
+      help: 'Jobs in the dead-letter collection',
+      samples: [{ labels: {}, value: dead }],
+    },
+  ];
+});
+
+async function listDeadJobs(db, { type, limit = 50 } = {}) {
+  const query = type ? { type } : {};
+  return db.collection(DEAD_JOBS_COLLECTION).find(query).sort({ failedAt: -1 }).limit(limit).toArray();
+}
+
+// Puts a dead job back on the queue with a fresh attempt count
+async function retryDeadJob(db, deadJobId) {
+  const deadJob = await db.collection(DEAD_JOBS_COLLECTION).findOne({ _id: new ObjectId(deadJobId) });
+  if (!deadJob) {
+    return false;
+  }
+
+  await enqueueJob(db, deadJob.type, deadJob.gameId, deadJob.fen, deadJob.payload, {
+    supersede: false,
+    key: deadJob.key ?? null,
+  });
+  await db.collection(DEAD_JOBS_COLLECTION).deleteOne({ _id: deadJob._id });
+  logger.info(`Dead job ${deadJobId} re-queued`);
+  return true;
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  startJobWorkers,
+  getQueueStats,
+  listDeadJobs,
+  retryDeadJob,
+};
@@ -0,0 +1,214 @@
+// lccClient.js
+
+const axios = require('axios');
+const { registerCollector } = require('./metrics');
+const { recordResponse } = require('./recorder');
+const logger = require('./logger');
+
+const LCC_TIMEOUT = parseInt(process.env.LCC_TIMEOUT, 10) || 10000; // ms per request
+const LCC_RETRIES = parseInt(process.env.LCC_RETRIES, 10) || 3; // retries after the first attempt
+const LCC_BACKOFF_BASE = parseInt(process.env.LCC_BACKOFF_BASE, 10) || 500; // ms, doubled on every retry
+const LCC_BACKOFF_MAX = parseInt(process.env.LCC_BACKOFF_MAX, 10) || 8000; // ms
+const LCC_BREAKER_THRESHOLD = parseInt(process.env.LCC_BREAKER_THRESHOLD, 10) || 5; // failed requests in a row
+const LCC_BREAKER_COOLDOWN = parseInt(process.env.LCC_BREAKER_COOLDOWN, 10) || 30000; // ms before a trial request
+
+// The feed could not be reached: timeouts, connection errors, 5xx responses or an open circuit.
+// Anything else, such as a 404 for a round that is not published yet, is an answer from the feed.
+class LccUnreachableError extends Error {
+  constructor(message, url) {
+    super(message);
+    this.name = 'LccUnreachableError';
+    this.url = url;
+  }
+}
+
+// Per host: closed (requests flow), open (requests fail fast) or halfOpen (one trial request)
+const breakers = new Map();
+const metrics = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getBreaker(host) {
+  if (!breakers.has(host)) {
+    breakers.set(host, { state: 'closed', failures: 0, openedAt: null, trialInFlight: false });
+  }
+  return breakers.get(host);
+}
+
+function getHostMetrics(host) {
+  if (!metrics.has(host)) {
+    metrics.set(host, {
+      requests: 0,
+      succeeded: 0,
+      notModified: 0,
+      clientErrors: 0,
+      retries: 0,
+      failures: 0,
+      rejected: 0,
+      breakerOpens: 0,
+      latencyMsTotal: 0,
+    });
+  }
+  return metrics.get(host);
+}
+
+function isRetryable(error) {
+  if (!error.response) {
+    return true; // timeout or connection error
+  }
+  return error.response.status >= 500 || error.response.status === 429;
+}
+
+// Full jitter: a random delay up to the exponential backoff for this attempt
+function getBackoffDelay(attempt) {
+  return Math.random() * Math.min(LCC_BACKOFF_MAX, LCC_BACKOFF_BASE * 2 ** attempt);
+}
+
+function describeError(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error.code ? `${error.code} ${error.message}` : error.message;
+}
+
+function acquireBreaker(host, url) {
+  const breaker = getBreaker(host);
+  if (breaker.state === 'open') {
+    if (Date.now() - breaker.openedAt < LCC_BREAKER_COOLDOWN) {
+      getHostMetrics(host).rejected++;
+      throw new LccUnreachableError(`Circuit open for ${host}`, url);
+    }
+    breaker.state = 'halfOpen';
+  }
+  if (breaker.state === 'halfOpen') {
+    if (breaker.trialInFlight) {
+      getHostMetrics(host).rejected++;
+      throw new LccUnreachableError(`Circuit half-open for ${host}, trial request in flight`, url);
+    }
+    breaker.trialInFlight = true;
+  }
+  return breaker;
+}
+
+function recordSuccess(breaker, host) {
+  if (breaker.state !== 'closed') {
+    logger.info(`Circuit for ${host} closed`);
+  }
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure(breaker, host) {
+  breaker.failures++;
+  breaker.trialInFlight = false;
+  if (breaker.state === 'halfOpen' || breaker.failures >= LCC_BREAKER_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      getHostMetrics(host).breakerOpens++;
+      logger.warn(`Circuit for ${host} opened after ${breaker.failures} failed request(s)`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+// GET with a timeout and jittered retries. Throws LccUnreachableError when the feed cannot be reached;
+// other HTTP errors are rethrown as axios errors without retrying.
+async function lccGet(url, { headers = {}, validateStatus } = {}) {
+  const host = new URL(url).host;
+  const hostMetrics = getHostMetrics(host);
+  const breaker = acquireBreaker(host, url);
+
+  for (let attempt = 0; ; attempt++) {
+    const startedAt = Date.now();
+    hostMetrics.requests++;
+    try {
+      // An undefined validateStatus would override axios' default and accept every status
+      const response = await axios.get(url, {
+        headers,
+        timeout: LCC_TIMEOUT,
+        ...(validateStatus && { validateStatus }),
+      });
+      hostMetrics.latencyMsTotal += Date.now() - startedAt;
+      if (response.status === 304) {
+        hostMetrics.notModified++;
+      } else {
+        hostMetrics.succeeded++;
+        recordResponse(url, response.data);
+      }
+      recordSuccess(breaker, host);
+      return response;
+    } catch (error) {
+      hostMetrics.latencyMsTotal += Date.now() - startedAt;
+
+      if (!isRetryable(error)) {
+        // The feed answered, so the host is healthy
+        hostMetrics.clientErrors++;
+        recordSuccess(breaker, host);
+        throw error;
+      }
+
+      if (attempt >= LCC_RETRIES || breaker.state === 'halfOpen') {
+        hostMetrics.failures++;
+        recordFailure(breaker, host);
+        throw new LccUnreachableError(`GET ${url} failed after ${attempt + 1} attempt(s): ${describeError(error)}`, url);
+      }
+
+      hostMetrics.retries++;
+      const delay = getBackoffDelay(attempt);
+      logger.warn(`GET ${url} failed (${describeError(error)}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+function isNotFound(error) {
+  return error.response?.status === 404;
+}
+
+function getLccMetrics() {
+  return [...metrics.entries()].map(([host, hostMetrics]) => {
+    const breaker = getBreaker(host);
+    return {
+      host,
+      ...hostMetrics,
+      breakerState: breaker.state,
+      consecutiveFailures: breaker.failures,
+    };
+  });
+}
+
+const BREAKER_STATE_VALUES = { closed: 0, halfOpen: 1, open: 2 };
+
+registerCollector(async () => {
+  const hosts = getLccMetrics();
+  const counter = (name, help, field, scale = 1) => ({
+    name,
+    type: 'counter',
+    help,
+    samples: hosts.map((host) => ({ labels: { host: host.host }, value: host[field] / scale })),
+  });
+  return [
+    counter('lcc_http_requests_total', 'HTTP requests sent to LiveChessCloud, retries included', 'requests'),
+    counter('lcc_http_retries_total', 'LiveChessCloud requests retried after a failure', 'retries'),
+    counter('lcc_http_failures_total', 'LiveChessCloud requests that failed after every retry', 'failures'),
+    counter('lcc_http_rejected_total', 'LiveChessCloud requests rejected by an open circuit', 'rejected'),
+    counter('lcc_http_request_duration_seconds_total', 'Time spent waiting for LiveChessCloud', 'latencyMsTotal', 1000),
+    {
+      name: 'lcc_circuit_state',
+      type: 'gauge',
+      help: 'Circuit breaker state per host: 0 closed, 1 half-open, 2 open',
+      samples: hosts.map((host) => ({ labels: { host: host.host }, value: BREAKER_STATE_VALUES[host.breakerState] })),
+    },
+  ];
+});
+
+module.exports = {
+  LccUnreachableError,
+  lccGet,
+  isNotFound,
+  getBackoffDelay,
+  getLccMetrics,
+};
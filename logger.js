@@ -1,18 +1,151 @@
 const winston = require('winston');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_MAX_SIZE = parseInt(process.env.LOG_MAX_SIZE, 10) || 10 * 1024 * 1024; // bytes per file before rotating
+const LOG_MAX_FILES = parseInt(process.env.LOG_MAX_FILES, 10) || 5; // rotated files kept per log
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /^(authorization|proxy-authorization|cookie|set-cookie|x-admin-secret|x-hub-signature(-256)?|x-webhook-signature|api[-_]?key)$|token|secret|password/i;
+const MAX_DEPTH = 6;
+const MAX_STRING_LENGTH = 2000;
+
+// Correlation fields (tournamentId, round, board, gameId, job) for everything logged inside withContext
+const logContext = new AsyncLocalStorage();
+
+function redactString(value) {
+  const redacted = value
+    .replace(/Bearer\s+[^\s"',]+/gi, `Bearer ${REDACTED}`)
+    .replace(/([?&](?:access_token|token|hub\.verify_token|key)=)[^&\s"']+/gi, `$1${REDACTED}`);
+  return redacted.length > MAX_STRING_LENGTH ? `${redacted.slice(0, MAX_STRING_LENGTH)}…` : redacted;
+}
+
+// axios errors carry the whole request config, headers included; only what helps debugging is kept
+function describeHttp(value) {
+  return {
+    method: value.config?.method,
+    url: value.config?.url,
+    timeout: value.config?.timeout,
+    status: value.response?.status,
+    statusText: value.response?.statusText,
+    data: value.response?.data,
+  };
+}
+
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'function') {
+    return undefined;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (Buffer.isBuffer(value) || value instanceof ArrayBuffer) {
+    return `[binary ${value.byteLength} bytes]`;
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactString(value.message), code: value.code, stack: value.stack };
+    if (value.isAxiosError || value.config) {
+      error.http = sanitize(describeHttp(value), depth + 1, seen);
+    }
+    return error;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => sanitize(item, depth + 1, seen));
+  }
+
+  const sanitized = {};
+  for (const [key, item] of Object.entries(value)) {
+    const entry = sanitizeEntry(key, item, depth + 1, seen);
+    if (entry !== undefined) {
+      sanitized[key] = entry;
+    }
+  }
+  return sanitized;
+}
+
+// undefined drops the field
+function sanitizeEntry(key, item, depth, seen) {
+  if (SENSITIVE_KEY.test(key)) {
+    return REDACTED;
+  }
+  if (key === 'request' || key === 'socket' || key === 'agent') {
+    return undefined;
+  }
+  if (key === 'config' && item && typeof item === 'object' && 'headers' in item) {
+    return { method: item.method, url: item.url && redactString(item.url), timeout: item.timeout };
+  }
+  if (key === 'response' && item && typeof item === 'object' && 'status' in item && 'headers' in item) {
+    return sanitize({ status: item.status, statusText: item.statusText, data: item.data }, depth, seen);
+  }
+  return sanitize(item, depth, seen);
+}
+
+// Adds the correlation fields of the current context and scrubs credentials from every field
+const structure = winston.format((info) => {
+  const context = logContext.getStore();
+  if (context) {
+    for (const [key, value] of Object.entries(context)) {
+      if (info[key] === undefined) {
+        info[key] = value;
+      }
+    }
+  }
+
+  // Errors passed as metadata are merged into info, axios ones with their config, request and toJSON
+  const seen = new WeakSet();
+  for (const key of Object.keys(info)) {
+    if (key === 'level' || key === 'timestamp' || key === 'stack') {
+      continue;
+    }
+    const entry = sanitizeEntry(key, info[key], 0, seen);
+    if (entry === undefined) {
+      delete info[key];
+    } else {
+      info[key] = entry;
+    }
+  }
+  return info;
+});
+
+const format = winston.format.combine(
+  winston.format.timestamp(),
+  structure(),
+  winston.format.json()
+);
 
 const logger = winston.createLogger({
-  level: 'info', // Change this to 'info' to see more logs
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level}: ${message}`;
-    })
-  ),
+  level: LOG_LEVEL,
+  format,
   transports: [
     new winston.transports.Console(),
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' })
+    new winston.transports.File({
+      filename: 'error.log',
+      level: 'error',
+      maxsize: LOG_MAX_SIZE,
+      maxFiles: LOG_MAX_FILES,
+      tailable: true,
+    }),
+    new winston.transports.File({
+      filename: 'combined.log',
+      maxsize: LOG_MAX_SIZE,
+      maxFiles: LOG_MAX_FILES,
+      tailable: true,
+    }),
   ]
 });
 
-module.exports = logger;
\ No newline at end of file
+// Runs fn with extra correlation fields on every line it logs, including from awaited calls
+logger.withContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+module.exports = logger;
@@ -0,0 +1,90 @@
+// metrics.js
+
+const logger = require('./logger');
+
+// Prometheus text exposition without a client library: counters and summaries are kept in memory,
+// gauges that mirror other state are read by collectors when /metrics is scraped
+const metrics = new Map();
+const collectors = [];
+
+function defineMetric(name, type, help) {
+  if (!metrics.has(name)) {
+    metrics.set(name, { name, type, help, samples: new Map() });
+  }
+  return metrics.get(name);
+}
+
+function getSample(name, labels, initial) {
+  const metric = metrics.get(name);
+  if (!metric) {
+    throw new Error(`Metric ${name} is not defined`);
+  }
+  const key = JSON.stringify(labels);
+  if (!metric.samples.has(key)) {
+    metric.samples.set(key, { labels, ...initial });
+  }
+  return metric.samples.get(key);
+}
+
+function incrementCounter(name, labels = {}, value = 1) {
+  getSample(name, labels, { value: 0 }).value += value;
+}
+
+function observeSummary(name, labels, value) {
+  const sample = getSample(name, labels, { sum: 0, count: 0 });
+  sample.sum += value;
+  sample.count++;
+}
+
+// collect() resolves to [{ name, type, help, samples: [{ labels, value }] }]
+function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const formatted = entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${formatted.join(',')}}`;
+}
+
+function formatMetric({ name, type, help, samples }) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const sample of samples) {
+    if (type === 'summary') {
+      lines.push(`${name}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+      lines.push(`${name}_count${formatLabels(sample.labels)} ${sample.count}`);
+    } else {
+      lines.push(`${name}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+async function renderMetrics() {
+  const collected = [];
+  for (const collect of collectors) {
+    // A collector that cannot reach its source (e.g. Mongo is down) leaves its gauges out of this scrape
+    try {
+      collected.push(...(await collect()));
+    } catch (error) {
+      logger.warn(`Skipping metrics collector: ${error.message}`);
+    }
+  }
+
+  const all = [
+    ...[...metrics.values()].map((metric) => ({ ...metric, samples: [...metric.samples.values()] })),
+    ...collected,
+  ];
+  return `${all.map(formatMetric).join('\n')}\n`;
+}
+
+module.exports = {
+  defineMetric,
+  incrementCounter,
+  observeSummary,
+  registerCollector,
+  renderMetrics,
+};
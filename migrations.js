@@ -0,0 +1,100 @@
+// migrations.js
+
+const { getPlayerKey } = require('./players');
+const { classifyOpening } = require('./openings');
+const { getGameId } = require('./services');
+
+// LiveChessCloud tournament IDs are UUIDs
+const TOURNAMENT_ID_PREFIX = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})-\d+-(\d+)/i;
+
+// Every change to the shape of game documents gets a migration. up() receives a copy of a document
+// at the previous version and returns it in the new shape; it must not depend on the storage backend.
+const GAME_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add tournamentId and board to games stored by single-tournament setups',
+    up(game) {
+      const match = typeof game.gameId === 'string' && game.gameId.match(TOURNAMENT_ID_PREFIX);
+      if (match) {
+        game.tournamentId = game.tournamentId || match[1];
+        game.board = game.board || parseInt(match[2], 10);
+      }
+      return game;
+    },
+  },
+  {
+    version: 2,
+    description: 'Rebuild moves from latestPGN and add player keys',
+    up(game) {
+      if (!game.moves && game.latestPGN) {
+        game.moves = game.latestPGN
+          .split(/\s+/)
+          .filter(Boolean)
+          .map((san) => ({ san, clock: null, seenAt: null }));
+      }
+      game.whitePlayerKey = game.whitePlayerKey || getPlayerKey(game.whiteFideId, game.whiteName);
+      game.blackPlayerKey = game.blackPlayerKey || getPlayerKey(game.blackFideId, game.blackName);
+      return game;
+    },
+  },
+  {
+    version: 3,
+    description: 'Classify openings',
+    up(game) {
+      if (game.eco === undefined) {
+        Object.assign(game, classifyOpening(game.moves));
+      }
+      return game;
+    },
+  },
+  {
+    version: 4,
+    description: 'Move games stored under player-token IDs to the board-based ID the updater looks up',
+    up(game) {
+      if (game.tournamentId && Number.isInteger(game.round) && Number.isInteger(game.board)) {
+        const gameId = getGameId(game.tournamentId, game.round, game.board);
+        if (game.gameId !== gameId) {
+          game.legacyGameId = game.gameId;
+          game.gameId = gameId;
+        }
+      }
+      return game;
+    },
+  },
+];
+
+const GAME_SCHEMA_VERSION = GAME_MIGRATIONS[GAME_MIGRATIONS.length - 1].version;
+
+function needsUpgrade(game) {
+  return (game.schemaVersion || 0) < GAME_SCHEMA_VERSION;
+}
+
+// Brings a stored game up to the current shape; documents already there are returned as they are
+function upgradeGame(game) {
+  if (!game || !needsUpgrade(game)) {
+    return game;
+  }
+  let upgraded = { ...game };
+  for (const migration of GAME_MIGRATIONS) {
+    if (migration.version > (game.schemaVersion || 0)) {
+      upgraded = migration.up(upgraded);
+    }
+  }
+  upgraded.schemaVersion = GAME_SCHEMA_VERSION;
+  return upgraded;
+}
+
+// For an upgraded game whose board-based ID another document already has. It stays under its old ID
+// and reconciliation archives the older of the two on the next sync of the round.
+function keepLegacyGameId(upgraded) {
+  const { legacyGameId, ...game } = upgraded;
+  return legacyGameId ? { ...game, gameId: legacyGameId } : upgraded;
+}
+
+module.exports = {
+  GAME_MIGRATIONS,
+  GAME_SCHEMA_VERSION,
+  needsUpgrade,
+  upgradeGame,
+  keepLegacyGameId,
+};
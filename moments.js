@@ -0,0 +1,176 @@
+// moments.js
+
+const { Chess } = require('chess.js');
+const { getPosition } = require('./positions');
+const { publishEvents } = require('./events');
+const { getGameRepository } = require('./gameRepository');
+const logger = require('./logger');
+
+const MOMENT_TYPES = [
+  'blunder',
+  'evalSwing',
+  'missedWin',
+  'stalemate',
+  'threefoldRepetition',
+  'insufficientMaterial',
+  'promotion',
+  'timeScramble',
+];
+
+// Evals are in pawns from White's point of view; mate scores are capped so they compare like big advantages
+const EVAL_CAP = 10;
+const BLUNDER_THRESHOLD = 2; // pawns lost by the side that moved
+const EVAL_SWING_THRESHOLD = 1.5; // change needed when the advantage passes to the other side
+const WINNING_THRESHOLD = 3; // an advantage this large is a win
+const DRAWISH_THRESHOLD = 1; // a winning side that drops below this has let the win go
+const TIME_SCRAMBLE_SECONDS = parseInt(process.env.TIME_SCRAMBLE_SECONDS, 10) || 60;
+
+function capEval(value) {
+  return Math.max(-EVAL_CAP, Math.min(EVAL_CAP, value));
+}
+
+function getMover(ply) {
+  return ply % 2 === 1 ? 'white' : 'black';
+}
+
+// Board-based moments for the plies from fromPly on; the game is replayed from the start so
+// repetitions count earlier positions
+function detectBoardMoments(moves, fromPly) {
+  const chess = new Chess();
+  const moments = [];
+
+  for (const [index, move] of moves.entries()) {
+    let played;
+    try {
+      played = chess.move(move.san);
+    } catch (error) {
+      break;
+    }
+
+    const ply = index + 1;
+    if (ply < fromPly) {
+      continue;
+    }
+
+    const color = played.color === 'w' ? 'white' : 'black';
+    const position = { ply, color, san: played.san, fen: chess.fen() };
+
+    if (played.promotion) {
+      moments.push({ ...position, type: 'promotion', key: `promotion-${ply}`, data: { piece: played.promotion } });
+    }
+    if (chess.isStalemate()) {
+      moments.push({ ...position, type: 'stalemate', key: `stalemate-${ply}`, data: {} });
+    }
+    if (chess.isThreefoldRepetition()) {
+      moments.push({ ...position, type: 'threefoldRepetition', key: `threefoldRepetition-${ply}`, data: {} });
+    }
+    if (chess.isInsufficientMaterial()) {
+      moments.push({ ...position, type: 'insufficientMaterial', key: `insufficientMaterial-${ply}`, data: {} });
+    }
+    // Flagged once per player: the clock keeps hovering around the threshold once a scramble starts
+    if (typeof move.clock === 'number' && move.clock <= TIME_SCRAMBLE_SECONDS) {
+      moments.push({ ...position, type: 'timeScramble', key: `timeScramble-${color}`, data: { clock: move.clock } });
+    }
+  }
+  return moments;
+}
+
+// Compares the evals before and after one move, from the point of view of the side that made it
+function compareEvals(before, after) {
+  if (typeof before?.eval !== 'number' || typeof after?.eval !== 'number') {
+    return [];
+  }
+
+  const color = getMover(after.ply);
+  const sign = color === 'white' ? 1 : -1;
+  const evalBefore = capEval(before.eval);
+  const evalAfter = capEval(after.eval);
+  const moverBefore = sign * evalBefore;
+  const moverAfter = sign * evalAfter;
+  const position = { ply: after.ply, color, san: after.san, fen: after.fen };
+  const data = { evalBefore: before.eval, evalAfter: after.eval };
+  const moments = [];
+
+  if (moverBefore - moverAfter >= BLUNDER_THRESHOLD) {
+    moments.push({ ...position, type: 'blunder', key: `blunder-${after.ply}`, data });
+  }
+  if (Math.sign(evalBefore) !== Math.sign(evalAfter) && Math.abs(evalAfter - evalBefore) >= EVAL_SWING_THRESHOLD) {
+    moments.push({ ...position, type: 'evalSwing', key: `evalSwing-${after.ply}`, data });
+  }
+  if (moverBefore >= WINNING_THRESHOLD && moverAfter < DRAWISH_THRESHOLD) {
+    moments.push({ ...position, type: 'missedWin', key: `missedWin-${after.ply}`, data });
+  }
+  return moments;
+}
+
+// Evals arrive in any order, so a new eval is compared with both neighbouring plies
+async function detectEvalMoments(db, gameId, ply) {
+  const [previous, current, next] = await Promise.all([
+    ply > 1 ? getPosition(db, gameId, ply - 1) : null,
+    getPosition(db, gameId, ply),
+    getPosition(db, gameId, ply + 1),
+  ]);
+  return [...compareEvals(previous, current), ...compareEvals(current, next)];
+}
+
+// Tags each moment on the game once and publishes it. Returns the moments that were new.
+async function recordMoments(db, source, moments) {
+  const repository = await getGameRepository();
+  const recorded = [];
+  const now = new Date();
+
+  for (const moment of moments) {
+    const entry = { ...moment, detectedAt: now };
+    if (await repository.addMoment(source.gameId, entry)) {
+      recorded.push(entry);
+    }
+  }
+
+  if (recorded.length > 0) {
+    await publishEvents(db, recorded.map((moment) => ({ ...source, type: 'moment', data: moment })));
+    logger.info(`Detected ${recorded.map((moment) => moment.key).join(', ')} in game ${source.gameId}`);
+  }
+  return recorded;
+}
+
+async function setMomentMedia(gameId, key, media) {
+  const repository = await getGameRepository();
+  await repository.setMomentMedia(gameId, key, media);
+}
+
+async function getGameMoments(gameId) {
+  const repository = await getGameRepository();
+  const game = await repository.getGame(gameId, { fields: ['moments'] });
+  if (!game) {
+    return null;
+  }
+  return (game.moments || []).slice().sort((a, b) => a.ply - b.ply);
+}
+
+// Highlights across a tournament, newest first
+async function getTournamentMoments(tournamentId, { round, type, limit = 100 } = {}) {
+  const repository = await getGameRepository();
+  const games = await repository.listGames(
+    tournamentId,
+    { round: round || undefined },
+    { fields: ['round', 'board', 'whiteName', 'blackName', 'moments'] }
+  );
+
+  return games
+    .flatMap(({ gameId, round: gameRound, board, whiteName, blackName, moments = [] }) =>
+      moments
+        .filter((moment) => !type || moment.type === type)
+        .map((moment) => ({ gameId, round: gameRound, board, whiteName, blackName, moment })))
+    .sort((a, b) => b.moment.detectedAt - a.moment.detectedAt || b.moment.ply - a.moment.ply)
+    .slice(0, limit);
+}
+
+module.exports = {
+  MOMENT_TYPES,
+  detectBoardMoments,
+  detectEvalMoments,
+  recordMoments,
+  setMomentMedia,
+  getGameMoments,
+  getTournamentMoments,
+};
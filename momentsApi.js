@@ -0,0 +1,45 @@
+// momentsApi.js
+
+const express = require('express');
+const router = express.Router();
+const { MOMENT_TYPES, getGameMoments, getTournamentMoments } = require('./moments');
+const { parseRound } = require('./requestParams');
+const logger = require('./logger');
+
+router.get('/game/:gameId/moments', async (req, res) => {
+  const { gameId } = req.params;
+
+  try {
+    const moments = await getGameMoments(gameId);
+    if (!moments) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    res.json(moments);
+  } catch (error) {
+    logger.error(`Error fetching moments of game ${gameId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Highlights across all boards of a tournament, optionally for one round or moment type
+router.get('/tournament/:tournamentId/moments', async (req, res) => {
+  const { tournamentId } = req.params;
+  const { type } = req.query;
+  if (type !== undefined && !MOMENT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${MOMENT_TYPES.join(', ')}` });
+  }
+  const { round, error } = parseRound(req.query.round);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+  try {
+    res.json(await getTournamentMoments(tournamentId, { round, type, limit }));
+  } catch (error) {
+    logger.error(`Error fetching moments of tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+// mongoGameRepository.js
+
+const { ObjectId } = require('mongodb');
+const { GAME_MIGRATIONS, GAME_SCHEMA_VERSION, upgradeGame, keepLegacyGameId } = require('./migrations');
+const logger = require('./logger');
+
+const ARCHIVED_GAMES_COLLECTION = process.env.ARCHIVED_GAMES_COLLECTION || 'archivedGames';
+const MIGRATIONS_COLLECTION = process.env.MIGRATIONS_COLLECTION || 'schemaMigrations';
+const FINISHED_RESULTS = ['1-0', '0-1', '1/2-1/2'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getProjection(fields) {
+  if (!fields) {
+    return undefined;
+  }
+  const projection = { _id: 0, gameId: 1 };
+  for (const field of fields) {
+    projection[field] = 1;
+  }
+  return projection;
+}
+
+function buildListQuery(tournamentId, { round, player, result, live, after } = {}) {
+  const conditions = [{ tournamentId }];
+
+  if (round !== undefined) {
+    conditions.push({ round });
+  }
+  if (player) {
+    // A player key from /api/players, or part of a player's name
+    const name = { $regex: escapeRegExp(player), $options: 'i' };
+    conditions.push({
+      $or: [{ whitePlayerKey: player }, { blackPlayerKey: player }, { whiteName: name }, { blackName: name }],
+    });
+  }
+  if (result !== undefined) {
+    conditions.push({ result: result === 'finished' ? { $in: FINISHED_RESULTS } : result });
+  }
+  if (live !== undefined) {
+    conditions.push(live ? { isLive: true } : { isLive: { $ne: true } });
+  }
+  if (after) {
+    conditions.push({
+      $or: [
+        { round: { $gt: after.round } },
+        { round: after.round, board: { $gt: after.board } },
+        { round: after.round, board: after.board, gameId: { $gt: after.gameId } },
+      ],
+    });
+  }
+
+  return { $and: conditions };
+}
+
+// Games in the collection named by COLLECTION_NAME. The database is looked up on every call,
+// so a connection dropped and re-established by database.js is picked up.
+function createMongoGameRepository(connect) {
+  async function getCollection() {
+    const db = await connect();
+    return db.collection(process.env.COLLECTION_NAME);
+  }
+
+  async function ensureIndexes() {
+    const collection = await getCollection();
+    await Promise.all([
+      collection.createIndex({ gameId: 1 }, { unique: true }),
+      collection.createIndex({ tournamentId: 1, round: 1, board: 1 }),
+    ]);
+  }
+
+  // Upgrades documents in place. A document the updater rewrites meanwhile is already current, so
+  // each replace only applies while the stored version is still the one that was read. Games that
+  // move to a new ID go last, so one that keeps its ID always keeps it.
+  async function migrate() {
+    const db = await connect();
+    const collection = await getCollection();
+    const outdated = collection.find({
+      $or: [{ schemaVersion: { $exists: false } }, { schemaVersion: { $lt: GAME_SCHEMA_VERSION } }],
+    });
+
+    let migrated = 0;
+    const replace = async (game, upgraded) => {
+      const filter = { _id: game._id, schemaVersion: game.schemaVersion ?? { $exists: false } };
+      const result = await collection.replaceOne(filter, upgraded);
+      migrated += result.modifiedCount;
+    };
+
+    const moving = [];
+    for await (const game of outdated) {
+      const upgraded = upgradeGame(game);
+      if (upgraded.gameId === game.gameId) {
+        await replace(game, upgraded);
+      } else {
+        moving.push(game);
+      }
+    }
+    for (const game of moving) {
+      const upgraded = upgradeGame(game);
+      const taken = await collection.findOne({ gameId: upgraded.gameId }, { projection: { _id: 1 } });
+      await replace(game, taken ? keepLegacyGameId(upgraded) : upgraded);
+    }
+
+    if (migrated > 0) {
+      logger.info(`Migrated ${migrated} game(s) to schema version ${GAME_SCHEMA_VERSION}`);
+      await db.collection(MIGRATIONS_COLLECTION).insertOne({
+        collection: process.env.COLLECTION_NAME,
+        version: GAME_SCHEMA_VERSION,
+        migrations: GAME_MIGRATIONS.map(({ version, description }) => ({ version, description })),
+        documents: migrated,
+        appliedAt: new Date(),
+      });
+    }
+  }
+
+  return {
+    async init() {
+      try {
+        await ensureIndexes();
+      } catch (error) {
+        // Duplicate gameIds from old data block the unique index; games are still served without it
+        logger.error('Error creating game indexes:', error);
+      }
+      await migrate();
+    },
+
+    // Also accepts the _id of documents from before board-based IDs
+    async getGame(gameId, { fields } = {}) {
+      const collection = await getCollection();
+      const query = ObjectId.isValid(gameId) && /^[0-9a-f]{24}$/i.test(gameId)
+        ? { $or: [{ gameId }, { _id: new ObjectId(gameId) }] }
+        : { gameId };
+      return collection.findOne(query, { projection: getProjection(fields) });
+    },
+
+    async listGames(tournamentId, filters = {}, { limit, fields } = {}) {
+      const collection = await getCollection();
+      // round and board are always read for the cursor, even when not returned
+      const projection = fields && { ...getProjection(fields), round: 1, board: 1 };
+      let cursor = collection
+        .find(buildListQuery(tournamentId, filters), { projection })
+        .sort({ round: 1, board: 1, gameId: 1 });
+      if (limit) {
+        cursor = cursor.limit(limit);
+      }
+      return cursor.toArray();
+    },
+
+    async getRoundGames(tournamentId, round) {
+      const collection = await getCollection();
+      return collection.find({ tournamentId, round }).toArray();
+    },
+
+    async getRoundCounts(tournamentId) {
+      const collection = await getCollection();
+      const counts = await collection
+        .aggregate([
+          { $match: { tournamentId } },
+          {
+            $group: {
+              _id: '$round',
+              games: { $sum: 1 },
+              live: { $sum: { $cond: ['$isLive', 1, 0] } },
+              finished: { $sum: { $cond: [{ $in: ['$result', FINISHED_RESULTS] }, 1, 0] } },
+            },
+          },
+        ])
+        .toArray();
+      return counts.map(({ _id: round, games, live, finished }) => ({ round, games, live, finished }));
+    },
+
+    // Upserts by gameId; fields not given are kept
+    async saveGames(games) {
+      if (games.length === 0) {
+        return;
+      }
+      const collection = await getCollection();
+      await collection.bulkWrite(
+        games.map((game) => ({
+          updateOne: {
+            filter: { gameId: game.gameId },
+            update: { $set: { ...game, schemaVersion: GAME_SCHEMA_VERSION } },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    },
+
+    async updateGame(gameId, fields) {
+      const collection = await getCollection();
+      await collection.updateOne({ gameId }, { $set: fields });
+    },
+
+    async getPlayerGames(playerKey, { tournamentId } = {}) {
+      const collection = await getCollection();
+      const query = { $or: [{ whitePlayerKey: playerKey }, { blackPlayerKey: playerKey }] };
+      if (tournamentId) {
+        query.tournamentId = tournamentId;
+      }
+      return collection
+        .find(query, { projection: { moves: 0, commentaries: 0, whatsappDeliveries: 0 } })
+        .sort({ tournamentId: 1, round: 1 })
+        .toArray();
+    },
+
+    // The writes below only apply while the game is still at the given position; they return
+    // false when a newer move got there first
+    async addCommentary(gameId, fen, commentary) {
+      const collection = await getCollection();
+      const result = await collection.updateOne({ gameId, latestFEN: fen }, { $push: { commentaries: commentary } });
+      return result.matchedCount > 0;
+    },
+
+    async setImage(gameId, fen, imageMediaId) {
+      const collection = await getCollection();
+      const result = await collection.updateOne({ gameId, latestFEN: fen }, { $set: { imageMediaId } });
+      return result.matchedCount > 0;
+    },
+
+    // Returns false when the game already has a moment with this key
+    async addMoment(gameId, moment) {
+      const collection = await getCollection();
+      const result = await collection.updateOne(
+        { gameId, 'moments.key': { $ne: moment.key } },
+        { $push: { moments: moment } }
+      );
+      return result.modifiedCount > 0;
+    },
+
+    async setMomentMedia(gameId, key, { commentary, imageMediaId }) {
+      const collection = await getCollection();
+      await collection.updateOne(
+        { gameId, 'moments.key': key },
+        { $set: { 'moments.$.commentary': commentary, 'moments.$.imageMediaId': imageMediaId } }
+      );
+    },
+
+    async archiveGame(game, reason) {
+      const db = await connect();
+      const { _id, ...archived } = game;
+      await db.collection(ARCHIVED_GAMES_COLLECTION).insertOne({ ...archived, archivedAt: new Date(), archiveReason: reason });
+      await db.collection(process.env.COLLECTION_NAME).deleteOne({ gameId: game.gameId });
+    },
+  };
+}
+
+module.exports = {
+  createMongoGameRepository,
+};
@@ -16,7 +16,27 @@ function getFenBeforeLastMove(pgn) {
   return chess.fen();
 }
 
+function formatClock(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+// Builds movetext with a [%clk] comment after every move that has a known clock
+function buildPGNWithClocks(moves) {
+  return moves
+    .map((move, index) => {
+      const moveNumber = index % 2 === 0 ? `${index / 2 + 1}. ` : '';
+      const clockComment = move.clock === null ? '' : ` {[%clk ${formatClock(move.clock)}]}`;
+      return `${moveNumber}${move.san}${clockComment}`;
+    })
+    .join(' ');
+}
+
 module.exports = {
   getLastMoveFromPGN,
-  getFenBeforeLastMove
+  getFenBeforeLastMove,
+  formatClock,
+  buildPGNWithClocks
 };
\ No newline at end of file
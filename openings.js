@@ -0,0 +1,115 @@
+// openings.js
+
+const fs = require('fs');
+const path = require('path');
+const { Chess } = require('chess.js');
+const logger = require('./logger');
+
+// Tab-separated eco, name and pgn columns, the layout of the lichess chess-openings files,
+// so the bundled table can be swapped for a complete one
+const ECO_TABLE_PATH = process.env.ECO_TABLE_PATH || path.join(__dirname, 'eco.tsv');
+
+let openingTable = null;
+
+// Positions are compared without the move counters, so transpositions land on the same opening
+function getPositionKey(chess) {
+  return chess.fen().split(' ').slice(0, 4).join(' ');
+}
+
+function loadOpeningTable() {
+  const positions = new Map();
+  let maxPly = 0;
+
+  const lines = fs.readFileSync(ECO_TABLE_PATH, 'utf8').split('\n');
+  for (const line of lines) {
+    const [eco, name, pgn] = line.split('\t');
+    if (!pgn || eco === 'eco') {
+      continue;
+    }
+
+    const chess = new Chess();
+    const sans = pgn.trim().split(/\s+/).filter((token) => !/^\d+\.+$/.test(token));
+    try {
+      for (const san of sans) {
+        chess.move(san);
+      }
+    } catch (error) {
+      logger.warn(`Skipping opening ${eco} ${name}: ${error.message}`);
+      continue;
+    }
+
+    // The first entry for a position wins, like the table's own ordering
+    const key = getPositionKey(chess);
+    if (!positions.has(key)) {
+      positions.set(key, { eco, name });
+    }
+    maxPly = Math.max(maxPly, sans.length);
+  }
+
+  logger.info(`Loaded ${positions.size} openings from ${ECO_TABLE_PATH}`);
+  return { positions, maxPly };
+}
+
+function getOpeningTable() {
+  if (!openingTable) {
+    openingTable = loadOpeningTable();
+  }
+  return openingTable;
+}
+
+// The deepest table position the game passed through as { eco, openingName }, both null if none
+function classifyOpening(moves) {
+  const { positions, maxPly } = getOpeningTable();
+  const chess = new Chess();
+  let opening = null;
+
+  for (const move of (moves || []).slice(0, maxPly)) {
+    try {
+      chess.move(move.san);
+    } catch (error) {
+      break;
+    }
+    opening = positions.get(getPositionKey(chess)) || opening;
+  }
+
+  return { eco: opening?.eco || null, openingName: opening?.name || null };
+}
+
+// Openings of a tournament by number of games, with results and the rounds they were played in
+// Takes the game repository rather than requiring it: migrations.js classifies openings through this module
+async function getOpeningStats(repository, tournamentId, { round, limit = 20 } = {}) {
+  const games = await repository.listGames(tournamentId, { round }, { fields: ['round', 'eco', 'openingName', 'result'] });
+
+  const openings = new Map();
+  for (const game of games) {
+    if (!game.eco) {
+      continue;
+    }
+    const key = `${game.eco} ${game.openingName}`;
+    if (!openings.has(key)) {
+      openings.set(key, { eco: game.eco, name: game.openingName, games: 0, whiteWins: 0, draws: 0, blackWins: 0, rounds: [] });
+    }
+    const opening = openings.get(key);
+    opening.games++;
+    opening.whiteWins += game.result === '1-0' ? 1 : 0;
+    opening.draws += game.result === '1/2-1/2' ? 1 : 0;
+    opening.blackWins += game.result === '0-1' ? 1 : 0;
+
+    const roundCount = opening.rounds.find((entry) => entry.round === game.round);
+    if (roundCount) {
+      roundCount.games++;
+    } else {
+      opening.rounds.push({ round: game.round, games: 1 });
+    }
+  }
+
+  return [...openings.values()]
+    .map((opening) => ({ ...opening, rounds: opening.rounds.sort((a, b) => a.round - b.round) }))
+    .sort((a, b) => b.games - a.games || a.eco.localeCompare(b.eco))
+    .slice(0, limit);
+}
+
+module.exports = {
+  classifyOpening,
+  getOpeningStats,
+};
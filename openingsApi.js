@@ -0,0 +1,28 @@
+// openingsApi.js
+
+const express = require('express');
+const router = express.Router();
+const { getGameRepository } = require('./gameRepository');
+const { getOpeningStats } = require('./openings');
+const { parseRound } = require('./requestParams');
+const logger = require('./logger');
+
+// Most played openings of a tournament, optionally for one round
+router.get('/tournament/:tournamentId/openings', async (req, res) => {
+  const { tournamentId } = req.params;
+  const { round, error } = parseRound(req.query.round);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+
+  try {
+    const repository = await getGameRepository();
+    res.json(await getOpeningStats(repository, tournamentId, { round, limit }));
+  } catch (error) {
+    logger.error(`Error fetching openings of tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// pgn.js
+
+const { formatClock } = require('./moveUtils');
+
+const MAX_LINE_LENGTH = 79;
+
+function escapeTagValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function escapeComment(text) {
+  return String(text).replace(/[{}]/g, '');
+}
+
+function formatPGNDate(date) {
+  if (!date) {
+    return '????.??.??';
+  }
+  const value = new Date(date);
+  const month = String(value.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(value.getUTCDate()).padStart(2, '0');
+  return `${value.getUTCFullYear()}.${month}.${day}`;
+}
+
+function toPGNResult(result) {
+  return ['1-0', '0-1', '1/2-1/2'].includes(result) ? result : '*';
+}
+
+// The first move's timestamp is the best date we have; backfilled games have none
+function getGameDate(game) {
+  const firstSeen = (game.moves || []).find((move) => move.seenAt);
+  return firstSeen ? firstSeen.seenAt : null;
+}
+
+function buildTags(game, tournament) {
+  const tags = [
+    ['Event', tournament?.name || game.tournamentId],
+    ['Site', tournament?.location || 'LiveChessCloud'],
+    ['Date', formatPGNDate(getGameDate(game))],
+    ['Round', game.board ? `${game.round}.${game.board}` : String(game.round)],
+    ['White', game.whiteName || '?'],
+    ['Black', game.blackName || '?'],
+    ['Result', toPGNResult(game.result)],
+  ];
+
+  const optionalTags = [
+    ['WhiteTitle', game.whiteTitle],
+    ['BlackTitle', game.blackTitle],
+    ['WhiteElo', game.whiteRating],
+    ['BlackElo', game.blackRating],
+    ['WhiteFideId', game.whiteFideId],
+    ['BlackFideId', game.blackFideId],
+    ['ECO', game.eco],
+    ['Opening', game.openingName],
+  ];
+  for (const [name, value] of optionalTags) {
+    if (value) {
+      tags.push([name, value]);
+    }
+  }
+
+  return tags.map(([name, value]) => `[${name} "${escapeTagValue(value)}"]`).join('\n');
+}
+
+// Commentaries are keyed by the ply they describe; entries stored before plies were recorded are skipped
+function getCommentariesByPly(game) {
+  const commentariesByPly = new Map();
+  for (const entry of game.commentaries || []) {
+    if (typeof entry.ply === 'number') {
+      commentariesByPly.set(entry.ply, entry);
+    }
+  }
+  return commentariesByPly;
+}
+
+function buildMoveComment(move, commentary, annotations) {
+  const parts = [];
+  if (move.clock !== null && move.clock !== undefined) {
+    parts.push(`[%clk ${formatClock(move.clock)}]`);
+  }
+  if (annotations && commentary) {
+    if (typeof commentary.stockfishEval === 'number') {
+      parts.push(`[%eval ${commentary.stockfishEval.toFixed(2)}]`);
+    }
+    if (commentary.commentary) {
+      parts.push(escapeComment(commentary.commentary));
+    }
+  }
+  return parts.length > 0 ? `{${parts.join(' ')}}` : '';
+}
+
+function wrapMovetext(tokens) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+function buildMovetext(game, annotations) {
+  const commentariesByPly = getCommentariesByPly(game);
+  const tokens = [];
+
+  (game.moves || []).forEach((move, index) => {
+    if (index % 2 === 0) {
+      tokens.push(`${index / 2 + 1}.`);
+    }
+    tokens.push(move.san);
+
+    const comment = buildMoveComment(move, commentariesByPly.get(index + 1), annotations);
+    if (comment) {
+      tokens.push(...comment.split(' '));
+    }
+  });
+
+  tokens.push(toPGNResult(game.result));
+  return wrapMovetext(tokens);
+}
+
+// Export format PGN: Seven Tag Roster, player titles and FIDE IDs, clocks and optionally commentary/evals
+function buildGamePGN(game, { tournament = null, annotations = false } = {}) {
+  return `${buildTags(game, tournament)}\n\n${buildMovetext(game, annotations)}\n`;
+}
+
+function buildGamesPGN(games, options) {
+  return games.map((game) => buildGamePGN(game, options)).join('\n');
+}
+
+module.exports = {
+  buildGamePGN,
+  buildGamesPGN,
+};
@@ -0,0 +1,90 @@
+// pgnApi.js
+
+const express = require('express');
+const router = express.Router();
+const { connectToDatabase } = require('./database');
+const { getGameRepository } = require('./gameRepository');
+const { getTournament } = require('./tournaments');
+const { buildGamePGN, buildGamesPGN } = require('./pgn');
+const { parseRound } = require('./requestParams');
+const logger = require('./logger');
+
+// ?annotations=true embeds generated commentary and evals as move comments
+function getPGNOptions(req, tournament) {
+  return {
+    tournament: tournament ? tournament.info : null,
+    annotations: req.query.annotations === 'true' || req.query.annotations === '1',
+  };
+}
+
+function sendPGN(res, filename, pgn) {
+  res.set({
+    'Content-Type': 'application/x-chess-pgn; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}.pgn"`,
+  });
+  res.send(pgn);
+}
+
+// Export a single game
+router.get('/game/:gameId.pgn', async (req, res) => {
+  try {
+    const db = await connectToDatabase();
+    const repository = await getGameRepository();
+    const game = await repository.getGame(req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const tournament = await getTournament(db, game.tournamentId);
+    sendPGN(res, game.gameId, buildGamePGN(game, getPGNOptions(req, tournament)));
+  } catch (error) {
+    logger.error(`Error exporting PGN of game ${req.params.gameId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export every game of a round, ordered by board
+router.get('/tournament/:tournamentId/round/:round.pgn', async (req, res) => {
+  const { tournamentId } = req.params;
+  const { round, error } = parseRound(req.params.round);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const repository = await getGameRepository();
+    const games = await repository.listGames(tournamentId, { round });
+    if (games.length === 0) {
+      return res.status(404).json({ error: 'No games found for this round' });
+    }
+
+    const tournament = await getTournament(db, tournamentId);
+    sendPGN(res, `${tournamentId}-round-${round}`, buildGamesPGN(games, getPGNOptions(req, tournament)));
+  } catch (error) {
+    logger.error(`Error exporting PGN of round ${round} of tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export the whole tournament, ordered by round and board
+router.get('/tournament/:tournamentId.pgn', async (req, res) => {
+  const { tournamentId } = req.params;
+
+  try {
+    const db = await connectToDatabase();
+    const repository = await getGameRepository();
+    const games = await repository.listGames(tournamentId);
+    if (games.length === 0) {
+      return res.status(404).json({ error: 'No games found for this tournament' });
+    }
+
+    const tournament = await getTournament(db, tournamentId);
+    sendPGN(res, tournamentId, buildGamesPGN(games, getPGNOptions(req, tournament)));
+  } catch (error) {
+    logger.error(`Error exporting PGN of tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+// players.js
+
+const PLAYERS_COLLECTION = process.env.PLAYERS_COLLECTION || 'players';
+
+function normalizePlayerName(name) {
+  return (name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Players are identified by FIDE ID, so a corrected spelling between rounds stays the same player
+function getPlayerKey(fideId, name) {
+  return fideId ? `fide:${fideId}` : `name:${normalizePlayerName(name)}`;
+}
+
+function getPlayersCollection(db) {
+  return db.collection(PLAYERS_COLLECTION);
+}
+
+function hasNewPairing(existingGame, gameState) {
+  return (
+    !existingGame ||
+    existingGame.whitePlayerKey !== gameState.whitePlayerKey ||
+    existingGame.blackPlayerKey !== gameState.blackPlayerKey ||
+    existingGame.whiteName !== gameState.whiteName ||
+    existingGame.blackName !== gameState.blackName
+  );
+}
+
+async function upsertPlayers(db, gameStates) {
+  const now = new Date();
+  const operations = [];
+
+  for (const gameState of gameStates) {
+    for (const color of ['white', 'black']) {
+      const player = {
+        name: gameState[`${color}Name`],
+        title: gameState[`${color}Title`] || '',
+        fideId: gameState[`${color}FideId`] || '',
+      };
+      if (gameState[`${color}Rating`]) {
+        player.rating = gameState[`${color}Rating`];
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { playerKey: gameState[`${color}PlayerKey`] },
+          update: {
+            $set: { ...player, updatedAt: now },
+            $addToSet: { names: player.name, tournaments: gameState.tournamentId },
+            $setOnInsert: { playerKey: gameState[`${color}PlayerKey`], createdAt: now },
+          },
+          upsert: true,
+        },
+      });
+    }
+  }
+
+  if (operations.length > 0) {
+    await getPlayersCollection(db).bulkWrite(operations, { ordered: false });
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function searchPlayers(db, { search, tournamentId, limit = 50 } = {}) {
+  const query = {};
+  if (search) {
+    query.names = { $regex: escapeRegExp(search), $options: 'i' };
+  }
+  if (tournamentId) {
+    query.tournaments = tournamentId;
+  }
+  return getPlayersCollection(db).find(query).sort({ name: 1 }).limit(limit).toArray();
+}
+
+async function getPlayer(db, playerKey) {
+  return getPlayersCollection(db).findOne({ playerKey });
+}
+
+function scoreForPlayer(game, color) {
+  if (game.result === '1/2-1/2') {
+    return 0.5;
+  }
+  if (game.result === '1-0') {
+    return color === 'white' ? 1 : 0;
+  }
+  if (game.result === '0-1') {
+    return color === 'black' ? 1 : 0;
+  }
+  return null;
+}
+
+// Score, color history and current live game, per tournament and overall
+function summarizePlayerGames(playerKey, games) {
+  const tournaments = new Map();
+  let currentGame = null;
+
+  for (const game of games) {
+    const color = game.whitePlayerKey === playerKey ? 'white' : 'black';
+    const score = scoreForPlayer(game, color);
+
+    if (!tournaments.has(game.tournamentId)) {
+      tournaments.set(game.tournamentId, {
+        tournamentId: game.tournamentId,
+        points: 0,
+        gamesPlayed: 0,
+        colorHistory: [],
+      });
+    }
+    const summary = tournaments.get(game.tournamentId);
+    summary.colorHistory.push({ round: game.round, color: color === 'white' ? 'w' : 'b' });
+    if (score !== null) {
+      summary.points += score;
+      summary.gamesPlayed++;
+    }
+
+    if (game.result === 'ongoing' && game.isLive) {
+      currentGame = {
+        gameId: game.gameId,
+        tournamentId: game.tournamentId,
+        round: game.round,
+        board: game.board,
+        color,
+        opponent: color === 'white' ? game.blackName : game.whiteName,
+        latestFEN: game.latestFEN,
+      };
+    }
+  }
+
+  const byTournament = [...tournaments.values()];
+  return {
+    points: byTournament.reduce((sum, summary) => sum + summary.points, 0),
+    gamesPlayed: byTournament.reduce((sum, summary) => sum + summary.gamesPlayed, 0),
+    tournaments: byTournament,
+    currentGame,
+  };
+}
+
+module.exports = {
+  getPlayerKey,
+  hasNewPairing,
+  upsertPlayers,
+  searchPlayers,
+  getPlayer,
+  summarizePlayerGames,
+};
@@ -0,0 +1,55 @@
+// playersApi.js
+
+const express = require('express');
+const router = express.Router();
+const { connectToDatabase } = require('./database');
+const { getGameRepository } = require('./gameRepository');
+const { searchPlayers, getPlayer, summarizePlayerGames } = require('./players');
+const logger = require('./logger');
+
+// Search players by any spelling of their name, optionally within a tournament
+router.get('/players', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  try {
+    const db = await connectToDatabase();
+    res.json(await searchPlayers(db, { search: req.query.search, tournamentId: req.query.tournamentId, limit }));
+  } catch (error) {
+    logger.error('Error searching players:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Player profile with score, color history and current live game
+router.get('/players/:playerKey', async (req, res) => {
+  const { playerKey } = req.params;
+
+  try {
+    const db = await connectToDatabase();
+    const player = await getPlayer(db, playerKey);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const repository = await getGameRepository();
+    const games = await repository.getPlayerGames(playerKey);
+    res.json({ ...player, ...summarizePlayerGames(playerKey, games) });
+  } catch (error) {
+    logger.error(`Error fetching player ${playerKey}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/players/:playerKey/games', async (req, res) => {
+  const { playerKey } = req.params;
+
+  try {
+    const repository = await getGameRepository();
+    res.json(await repository.getPlayerGames(playerKey, { tournamentId: req.query.tournamentId }));
+  } catch (error) {
+    logger.error(`Error fetching games of player ${playerKey}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// positions.js
+
+const { Chess } = require('chess.js');
+const logger = require('./logger');
+
+const POSITIONS_COLLECTION = process.env.POSITIONS_COLLECTION || 'positions';
+
+let indexesReady = null;
+
+function getPositionsCollection(db) {
+  return db.collection(POSITIONS_COLLECTION);
+}
+
+function ensurePositionIndexes(db) {
+  if (!indexesReady) {
+    indexesReady = getPositionsCollection(db)
+      .createIndex({ gameId: 1, ply: 1 }, { unique: true })
+      .catch((error) => {
+        indexesReady = null;
+        throw error;
+      });
+  }
+  return indexesReady;
+}
+
+// Replays the moves and returns one entry per ply, stopping at the first move chess.js rejects
+function buildPlies(moves) {
+  const chess = new Chess();
+  const plies = [];
+
+  for (const [index, move] of moves.entries()) {
+    let played;
+    try {
+      played = chess.move(move.san);
+    } catch (error) {
+      logger.warn(`Stopping position history at ply ${index + 1}: ${error.message}`);
+      break;
+    }
+
+    plies.push({
+      ply: index + 1,
+      san: played.san,
+      lan: `${played.from}${played.to}${played.promotion || ''}`,
+      fen: chess.fen(),
+      clock: move.clock,
+      seenAt: move.seenAt || null,
+    });
+  }
+  return plies;
+}
+
+// Index of the first move that differs from what was stored before; later plies need rewriting
+function getFirstChangedPly(existingMoves, moves) {
+  let index = 0;
+  while (index < existingMoves.length && index < moves.length && existingMoves[index].san === moves[index].san) {
+    index++;
+  }
+  return index + 1;
+}
+
+// Writes every ply from the first changed one, including plies that arrived together between two polls.
+// Returns the plies that were written.
+async function storePositions(db, gameState, existingMoves, moves) {
+  await ensurePositionIndexes(db);
+  const fromPly = getFirstChangedPly(existingMoves, moves);
+  const plies = buildPlies(moves);
+  const changedPlies = plies.filter((entry) => entry.ply >= fromPly);
+
+  const positions = getPositionsCollection(db);
+  if (fromPly <= existingMoves.length) {
+    // The feed replaced moves (e.g. a corrected input): drop history past the divergence
+    await positions.deleteMany({ gameId: gameState.gameId, ply: { $gte: fromPly } });
+  }
+
+  if (changedPlies.length > 0) {
+    await positions.bulkWrite(
+      changedPlies.map((entry) => ({
+        updateOne: {
+          filter: { gameId: gameState.gameId, ply: entry.ply },
+          update: {
+            $set: { ...entry, tournamentId: gameState.tournamentId, round: gameState.round },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+  return changedPlies;
+}
+
+async function setPositionCommentary(db, gameId, ply, fen, { commentary, stockfishEval, evalProvider, depth, bestLine }) {
+  await getPositionsCollection(db).updateOne(
+    { gameId, ply, fen },
+    {
+      $set: {
+        commentary,
+        eval: stockfishEval,
+        evalProvider: evalProvider || null,
+        evalDepth: depth ?? null,
+        bestLine: bestLine || null,
+        commentedAt: new Date(),
+      },
+    }
+  );
+}
+
+// Keeps the history with its game when reconciliation gives the game a new ID
+async function renamePositions(db, fromGameId, toGameId) {
+  await getPositionsCollection(db).updateMany({ gameId: fromGameId }, { $set: { gameId: toGameId } });
+}
+
+async function getPositions(db, gameId) {
+  return getPositionsCollection(db)
+    .find({ gameId }, { projection: { _id: 0 } })
+    .sort({ ply: 1 })
+    .toArray();
+}
+
+async function getPosition(db, gameId, ply) {
+  return getPositionsCollection(db).findOne({ gameId, ply }, { projection: { _id: 0 } });
+}
+
+module.exports = {
+  storePositions,
+  setPositionCommentary,
+  renamePositions,
+  getPositions,
+  getPosition,
+};
@@ -0,0 +1,39 @@
+// positionsApi.js
+
+const express = require('express');
+const router = express.Router();
+const { connectToDatabase } = require('./database');
+const { getPositions, getPosition } = require('./positions');
+const logger = require('./logger');
+
+// Every ply of a game with SAN, LAN, FEN, clock, eval and commentary, for stepping through a replay
+router.get('/game/:gameId/positions', async (req, res) => {
+  try {
+    const db = await connectToDatabase();
+    res.json(await getPositions(db, req.params.gameId));
+  } catch (error) {
+    logger.error(`Error fetching positions of game ${req.params.gameId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/game/:gameId/positions/:ply', async (req, res) => {
+  const ply = parseInt(req.params.ply, 10);
+  if (!Number.isInteger(ply) || ply < 1) {
+    return res.status(400).json({ error: 'ply must be a positive integer' });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const position = await getPosition(db, req.params.gameId, ply);
+    if (!position) {
+      return res.status(404).json({ error: 'Position not found' });
+    }
+    res.json(position);
+  } catch (error) {
+    logger.error(`Error fetching ply ${ply} of game ${req.params.gameId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+// reconciliation.js
+
+const { getGameId, getPlayerName } = require('./services');
+const { getPlayerKey } = require('./players');
+const { renamePositions } = require('./positions');
+const logger = require('./logger');
+
+const GAME_AUDIT_COLLECTION = process.env.GAME_AUDIT_COLLECTION || 'gameAudit';
+
+function getStoredPlayerKeys(game) {
+  return {
+    white: game.whitePlayerKey || getPlayerKey(game.whiteFideId, game.whiteName),
+    black: game.blackPlayerKey || getPlayerKey(game.blackFideId, game.blackName),
+  };
+}
+
+// Documents from before board-based IDs are "<tournament>-<round>-<board>-<playerToken>"
+function getStoredBoard(game) {
+  if (game.board) {
+    return game.board;
+  }
+  const match = game.gameId.slice(game.tournamentId.length).match(/^-\d+-(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function describePairing(game) {
+  return {
+    gameId: game.gameId,
+    board: game.board || getStoredBoard(game),
+    whiteName: game.whiteName,
+    blackName: game.blackName,
+  };
+}
+
+// Decides where a stored game belongs in the current pairings, or null when it has no place any more
+function resolveTarget(game, pairingsByBoard) {
+  const keys = getStoredPlayerKeys(game);
+  const storedBoard = getStoredBoard(game);
+  const current = pairingsByBoard.get(storedBoard);
+
+  if (current && current.white === keys.white && current.black === keys.black) {
+    return { board: storedBoard, action: 'migrated' };
+  }
+
+  for (const [board, pairing] of pairingsByBoard) {
+    if (pairing.white === keys.white && pairing.black === keys.black) {
+      return { board, action: 'moved' };
+    }
+  }
+
+  // Same board with one player kept, or nothing played yet: the arbiters corrected the pairing
+  const hasMoves = game.moves ? game.moves.length > 0 : Boolean(game.latestPGN);
+  if (current && (current.white === keys.white || current.black === keys.black || !hasMoves)) {
+    return { board: storedBoard, action: 'corrected' };
+  }
+
+  return null;
+}
+
+// Compares the stored games of a round with the pairings in index.json. Games under a legacy ID are
+// migrated to the board-based ID, games whose pairing moved board follow it, and games that no longer
+// match any pairing are archived. Every change is written to the audit collection.
+// Returns the boards whose stored documents changed, both where they were and where they went.
+async function reconcileRoundPairings(db, repository, tournamentId, roundNumber, games, existingGames) {
+  const pairingsByBoard = new Map(
+    games.map(({ gameId: board, pairing }) => {
+      const whiteName = getPlayerName(pairing.white);
+      const blackName = getPlayerName(pairing.black);
+      return [
+        board,
+        {
+          white: getPlayerKey(pairing.white?.fideid, whiteName),
+          black: getPlayerKey(pairing.black?.fideid, blackName),
+          whiteName,
+          blackName,
+        },
+      ];
+    })
+  );
+
+  const resolutions = [];
+  const changes = [];
+
+  for (const game of existingGames) {
+    const target = resolveTarget(game, pairingsByBoard);
+    const targetId = target ? getGameId(tournamentId, roundNumber, target.board) : null;
+
+    if (!target) {
+      changes.push({ game, action: 'archived', reason: 'pairing removed' });
+    } else if (targetId !== game.gameId || target.board !== game.board || target.action === 'corrected') {
+      // Once corrected, the sync writes the new names and the game resolves in place from then on
+      resolutions.push({ game, targetId, board: target.board, action: target.action });
+    } else {
+      resolutions.push({ game, targetId, board: target.board, action: null });
+    }
+  }
+
+  // Several documents for one board (old player tokens) keep only the most recently updated one
+  const byTarget = new Map();
+  for (const resolution of resolutions) {
+    const previous = byTarget.get(resolution.targetId);
+    if (!previous || (resolution.game.lastUpdated || 0) > (previous.game.lastUpdated || 0)) {
+      if (previous) {
+        changes.push({ game: previous.game, action: 'archived', reason: 'duplicate' });
+      }
+      byTarget.set(resolution.targetId, resolution);
+    } else {
+      changes.push({ game: resolution.game, action: 'archived', reason: 'duplicate' });
+    }
+  }
+
+  const renames = [...byTarget.values()].filter((resolution) => resolution.action);
+  if (changes.length === 0 && renames.length === 0) {
+    return [];
+  }
+
+  for (const change of changes) {
+    await repository.archiveGame(change.game, change.reason);
+  }
+
+  // Move through temporary IDs first so boards can swap without two documents sharing a gameId
+  for (const { game } of renames) {
+    await repository.updateGame(game.gameId, { gameId: `moving-${game.gameId}` });
+    await renamePositions(db, game.gameId, `moving-${game.gameId}`);
+  }
+  for (const { game, targetId, board, action } of renames) {
+    await repository.updateGame(`moving-${game.gameId}`, { gameId: targetId, board });
+    await renamePositions(db, `moving-${game.gameId}`, targetId);
+    changes.push({ game, action, targetId, board });
+  }
+
+  const now = new Date();
+  await db.collection(GAME_AUDIT_COLLECTION).insertMany(
+    changes.map(({ game, action, reason, targetId, board }) => ({
+      tournamentId,
+      round: roundNumber,
+      action,
+      reason: reason || null,
+      before: describePairing(game),
+      after: targetId
+        ? {
+          gameId: targetId,
+          board,
+          whiteName: pairingsByBoard.get(board).whiteName,
+          blackName: pairingsByBoard.get(board).blackName,
+        }
+        : null,
+      at: now,
+    }))
+  );
+
+  const boards = new Set();
+  for (const { game, action, targetId, board } of changes) {
+    logger.info(`Reconciled game ${game.gameId} in round ${roundNumber} of tournament ${tournamentId}: ${action}${targetId ? ` as ${targetId}` : ''}`);
+    boards.add(getStoredBoard(game));
+    if (board) {
+      boards.add(board);
+    }
+  }
+  boards.delete(null);
+  return [...boards];
+}
+
+async function getGameAudit(db, { tournamentId, round, gameId, limit = 100 } = {}) {
+  const query = {};
+  if (tournamentId) {
+    query.tournamentId = tournamentId;
+  }
+  if (round) {
+    query.round = round;
+  }
+  if (gameId) {
+    query.$or = [{ 'before.gameId': gameId }, { 'after.gameId': gameId }];
+  }
+  return db.collection(GAME_AUDIT_COLLECTION).find(query).sort({ at: -1 }).limit(limit).toArray();
+}
+
+module.exports = {
+  reconcileRoundPairings,
+  getGameAudit,
+};
@@ -0,0 +1,72 @@
+// recorder.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Set LCC_RECORD_DIR to record every feed response; replayServer.js plays the files back
+const LCC_RECORD_DIR = process.env.LCC_RECORD_DIR;
+
+// <tournamentId>/tournament.json, <tournamentId>/round-N/index.json or <tournamentId>/round-N/game-N.json
+const FEED_PATH = /([^/]+\/(?:tournament\.json|round-\d+\/(?:index|game-\d+)\.json))$/;
+
+// Last body written per feed path; polls that return the same body are not written again
+const lastRecorded = new Map();
+let writeQueue = Promise.resolve();
+
+function isRecording() {
+  return Boolean(LCC_RECORD_DIR);
+}
+
+function getFeedPath(url) {
+  const match = new URL(url).pathname.match(FEED_PATH);
+  return match ? match[1] : null;
+}
+
+function getRecordingFile(dir, tournamentId) {
+  return path.join(dir, `${tournamentId}.jsonl`);
+}
+
+// One line per change: { at, path, data }. Writes are chained so lines stay in time order.
+function recordResponse(url, data) {
+  if (!isRecording()) {
+    return;
+  }
+  const feedPath = getFeedPath(url);
+  if (!feedPath) {
+    return;
+  }
+
+  const body = JSON.stringify(data);
+  if (lastRecorded.get(feedPath) === body) {
+    return;
+  }
+  lastRecorded.set(feedPath, body);
+
+  const line = `${JSON.stringify({ at: new Date().toISOString(), path: feedPath, data })}\n`;
+  const file = getRecordingFile(LCC_RECORD_DIR, feedPath.split('/')[0]);
+  writeQueue = writeQueue
+    .then(() => fs.promises.mkdir(LCC_RECORD_DIR, { recursive: true }))
+    .then(() => fs.promises.appendFile(file, line))
+    .catch((error) => logger.error(`Error recording ${feedPath} to ${file}:`, error));
+}
+
+// Entries sorted by time, with `at` as a Date
+function loadRecording(file) {
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => {
+      const entry = JSON.parse(line);
+      return { ...entry, at: new Date(entry.at) };
+    })
+    .sort((a, b) => a.at - b.at);
+}
+
+module.exports = {
+  isRecording,
+  getFeedPath,
+  recordResponse,
+  loadRecording,
+};
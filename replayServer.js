@@ -0,0 +1,179 @@
+// replayServer.js
+//
+// Plays a recording made with LCC_RECORD_DIR back as a LiveChessCloud feed, and stands in for the
+// commentary, image and WhatsApp APIs so a broadcast can be rehearsed offline:
+//
+//   REPLAY_SPEED=10 node replayServer.js recordings/<tournamentId>.jsonl
+//
+// then start the updater with the URLs it prints. REPLAY_OFFSET skips that many recorded seconds,
+// e.g. the hours before a round starts.
+
+require('dotenv').config();
+const express = require('express');
+const { Chess } = require('chess.js');
+const { loadRecording } = require('./recorder');
+const logger = require('./logger');
+
+const REPLAY_PORT = parseInt(process.env.REPLAY_PORT, 10) || 8090;
+const REPLAY_SPEED = parseFloat(process.env.REPLAY_SPEED) || 1; // recorded seconds per real second
+const REPLAY_OFFSET = parseFloat(process.env.REPLAY_OFFSET) || 0; // seconds into the recording
+
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+// 1x1 PNG; the updater only passes the bytes on to the media upload
+const PLACEHOLDER_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+// Material balance from White's view, a stand-in for the engine eval
+function getMaterialBalance(fen) {
+  const chess = new Chess(fen);
+  let balance = 0;
+  for (const row of chess.board()) {
+    for (const square of row) {
+      if (square) {
+        balance += (square.color === 'w' ? 1 : -1) * PIECE_VALUES[square.type];
+      }
+    }
+  }
+  return balance;
+}
+
+// Maps real time onto the recording: the feed answers with what it was serving at that recorded moment
+function createReplayClock(entries, { speed = REPLAY_SPEED, offset = REPLAY_OFFSET } = {}) {
+  const startedAt = Date.now();
+  const recordedFrom = entries[0].at.getTime() + offset * 1000;
+  const recordedUntil = entries[entries.length - 1].at.getTime();
+
+  return {
+    speed,
+    startedAt: new Date(startedAt),
+    recordedFrom: new Date(recordedFrom),
+    recordedUntil: new Date(recordedUntil),
+    now: () => new Date(recordedFrom + (Date.now() - startedAt) * speed),
+  };
+}
+
+// options.clock replaces the real-time clock, e.g. to step through the recording in a test
+function createReplayApp(entries, options = {}) {
+  if (entries.length === 0) {
+    throw new Error('The recording is empty');
+  }
+
+  const clock = options.clock || createReplayClock(entries, options);
+  const byPath = new Map();
+  for (const entry of entries) {
+    if (!byPath.has(entry.path)) {
+      byPath.set(entry.path, []);
+    }
+    byPath.get(entry.path).push(entry);
+  }
+
+  // Latest recorded body of a feed path at the replay time, or null before it was first published
+  function getFeedEntry(feedPath) {
+    const now = clock.now();
+    const recorded = byPath.get(feedPath) || [];
+    let current = null;
+    for (const entry of recorded) {
+      if (entry.at > now) {
+        break;
+      }
+      current = entry;
+    }
+    return current;
+  }
+
+  let mediaCount = 0;
+  let messageCount = 0;
+  const app = express();
+
+  app.get('/replay', (req, res) => {
+    const now = clock.now();
+    res.json({
+      speed: clock.speed,
+      startedAt: clock.startedAt,
+      recordedFrom: clock.recordedFrom,
+      recordedUntil: clock.recordedUntil,
+      replayTime: now,
+      finished: now >= clock.recordedUntil,
+      paths: byPath.size,
+    });
+  });
+
+  // LiveChessCloud feed; express answers If-None-Match with a 304 once a body stops changing
+  app.get('/get/*', (req, res) => {
+    const entry = getFeedEntry(req.params[0]);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not published yet' });
+    }
+    res.json(entry.data);
+  });
+
+  // Commentary API stand-in
+  app.post('/commentary', express.json(), (req, res) => {
+    const { fen, last_move: lastMove, white_name: whiteName, black_name: blackName } = req.body || {};
+    try {
+      const balance = getMaterialBalance(fen);
+      res.json({
+        commentary: `${lastMove} in ${whiteName} - ${blackName}. Material: ${balance > 0 ? '+' : ''}${balance}.`,
+        stockfish_eval: balance,
+      });
+    } catch (error) {
+      res.json({ error: `Invalid FEN: ${fen}` });
+    }
+  });
+
+  // Image API stand-in
+  app.post('/image', express.json(), (req, res) => {
+    res.type('image/png').send(PLACEHOLDER_IMAGE);
+  });
+
+  // WhatsApp Cloud API stand-ins: uploads and messages are accepted and logged, never delivered
+  app.post('/whatsapp/:phoneNumberId/media', (req, res) => {
+    req.resume();
+    req.on('end', () => res.json({ id: `replay-media-${++mediaCount}` }));
+  });
+
+  app.post('/whatsapp/:phoneNumberId/messages', express.json(), (req, res) => {
+    const { to, type } = req.body || {};
+    logger.info(`Replay: ${type} message to ${to}`);
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: to, wa_id: to }],
+      messages: [{ id: `replay-message-${++messageCount}` }],
+    });
+  });
+
+  return app;
+}
+
+function startReplayServer(file, options = {}) {
+  const entries = loadRecording(file);
+  const app = createReplayApp(entries, options);
+  const port = options.port || REPLAY_PORT;
+
+  return app.listen(port, () => {
+    const base = `http://localhost:${port}`;
+    logger.info(`Replaying ${entries.length} feed responses from ${file} at ${options.speed || REPLAY_SPEED}x on port ${port}`);
+    logger.info(
+      `Start the updater with LCC_BASE_URL=${base}/get COMMENTARY_API_URL=${base}/commentary ` +
+        `IMAGE_GENERATION_API_URL=${base}/image WHATSAPP_API_URL=${base}/whatsapp`
+    );
+  });
+}
+
+if (require.main === module) {
+  const file = process.argv[2] || process.env.REPLAY_FILE;
+  if (!file) {
+    logger.error('Usage: node replayServer.js <recording.jsonl> (or set REPLAY_FILE)');
+    process.exit(1);
+  }
+  startReplayServer(file);
+}
+
+module.exports = {
+  createReplayClock,
+  createReplayApp,
+  startReplayServer,
+};
@@ -0,0 +1,17 @@
+// requestParams.js
+
+// Round from a query or path parameter: { round }, undefined when absent, or { error }.
+// Only digits are accepted, so "2abc", "0" and "-1" are rejected instead of read as 2 or ignored.
+function parseRound(value) {
+  if (value === undefined) {
+    return { round: undefined };
+  }
+  if (typeof value !== 'string' || !/^[1-9]\d*$/.test(value)) {
+    return { error: 'round must be a positive integer' };
+  }
+  return { round: parseInt(value, 10) };
+}
+
+module.exports = {
+  parseRound,
+};
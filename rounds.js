@@ -0,0 +1,79 @@
+// rounds.js
+
+const logger = require('./logger');
+
+const ROUNDS_COLLECTION = process.env.ROUNDS_COLLECTION || 'rounds';
+const ROUND_TRANSITIONS_COLLECTION = process.env.ROUND_TRANSITIONS_COLLECTION || 'roundTransitions';
+
+// scheduled: not started yet. live: LiveChessCloud is broadcasting it. finished: every game has a result,
+// waiting for the final sync. finalized: final sync stored, no more polling. stale: started but left
+// unfinished without a broadcast, e.g. an adjourned or unreported game.
+const ROUND_STATES = ['scheduled', 'live', 'finished', 'finalized', 'stale'];
+
+function getRoundsCollection(db) {
+  return db.collection(ROUNDS_COLLECTION);
+}
+
+// Next state from what the feed reports: live comes from tournament.json,
+// allOver and anyResult from the round's index.json
+function resolveRoundState(currentState, { live, gameCount, allOver, anyResult }) {
+  if (live) {
+    return 'live';
+  }
+  if (gameCount === 0) {
+    return 'scheduled';
+  }
+  if (allOver) {
+    return currentState === 'finalized' ? 'finalized' : 'finished';
+  }
+  if (anyResult || ['live', 'finished', 'finalized', 'stale'].includes(currentState)) {
+    return 'stale';
+  }
+  return 'scheduled';
+}
+
+async function getRoundStates(db, tournamentId) {
+  return getRoundsCollection(db)
+    .find({ tournamentId }, { projection: { _id: 0 } })
+    .sort({ round: 1 })
+    .toArray();
+}
+
+// Stores scheduling details that change without a transition, such as the next check time
+async function saveRoundState(db, tournamentId, round, fields) {
+  await getRoundsCollection(db).updateOne(
+    { tournamentId, round },
+    { $set: { ...fields, updatedAt: new Date() }, $setOnInsert: { tournamentId, round } },
+    { upsert: true }
+  );
+}
+
+// Persists the new state first and then the transition log, so a restart resumes from the new state
+async function transitionRound(db, tournamentId, round, from, to, reason, fields = {}) {
+  const now = new Date();
+  await saveRoundState(db, tournamentId, round, { ...fields, state: to, enteredAt: now });
+  await db.collection(ROUND_TRANSITIONS_COLLECTION).insertOne({ tournamentId, round, from, to, reason, at: now });
+  logger.info(`Round ${round} of tournament ${tournamentId}: ${from || 'new'} -> ${to} (${reason})`);
+}
+
+async function getRoundTransitions(db, tournamentId, { round, limit = 100 } = {}) {
+  const query = { tournamentId };
+  if (round) {
+    query.round = round;
+  }
+  return db
+    .collection(ROUND_TRANSITIONS_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ at: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+module.exports = {
+  ROUND_STATES,
+  resolveRoundState,
+  getRoundStates,
+  saveRoundState,
+  transitionRound,
+  getRoundTransitions,
+};
@@ -3,27 +3,34 @@
 const axios = require('axios');
 const { Chess } = require('chess.js');
 const logger = require('./logger');
-const { getLastMoveFromPGN, getFenBeforeLastMove } = require('./moveUtils');
+const { lccGet, isNotFound, LccUnreachableError } = require('./lccClient');
+const { getLastMoveFromPGN, getFenBeforeLastMove, buildPGNWithClocks } = require('./moveUtils');
+const { getPlayerKey } = require('./players');
+const { classifyOpening } = require('./openings');
+const { renderBoardPng } = require('./boardRenderer');
 const FormData = require('form-data');
-const fs = require('fs');
 
-const TOURNAMENT_ID = process.env.TOURNAMENT_ID;
+// Points the updater at another feed, e.g. the replay server (see replayServer.js)
+const LCC_BASE_URL = (process.env.LCC_BASE_URL || 'https://1.pool.livechesscloud.com/get').replace(/\/+$/, '');
+const WHATSAPP_API_URL = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v17.0';
 
-if (!TOURNAMENT_ID) {
-  logger.error('TOURNAMENT_ID environment variable is not set');
-  process.exit(1);
-}
+// Tried in order until one returns an image: "api" is IMAGE_GENERATION_API_URL, "local" draws the
+// board in process (boardRenderer.js). "local" alone skips the image service entirely.
+const IMAGE_RENDERERS = (process.env.IMAGE_RENDERERS || 'api,local')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
 
-function getTourneyUrl() {
-  return `https://1.pool.livechesscloud.com/get/${TOURNAMENT_ID}/tournament.json`;
+function getTourneyUrl(tournamentId) {
+  return `${LCC_BASE_URL}/${tournamentId}/tournament.json`;
 }
 
-function getIndexUrl(round) {
-  return `https://1.pool.livechesscloud.com/get/${TOURNAMENT_ID}/round-${round}/index.json`;
+function getIndexUrl(tournamentId, round) {
+  return `${LCC_BASE_URL}/${tournamentId}/round-${round}/index.json`;
 }
 
-function getGameUrl(round, game) {
-  return `https://1.pool.livechesscloud.com/get/${TOURNAMENT_ID}/round-${round}/game-${game}.json?poll`;
+function getGameUrl(tournamentId, round, game) {
+  return `${LCC_BASE_URL}/${tournamentId}/round-${round}/game-${game}.json?poll`;
 }
 
 function standardizeResult(result) {
@@ -49,13 +56,41 @@ function standardizeResult(result) {
   }
 }
 
+// LiveChessCloud moves look like "Nf3 5400+30": the SAN move followed by the mover's remaining clock in seconds
+function parseMove(move) {
+  const [san, clockToken] = move.split(' ');
+  const clock = clockToken ? parseInt(clockToken.split('+')[0], 10) : NaN;
+  return {
+    san,
+    clock: Number.isNaN(clock) ? null : clock,
+  };
+}
+
 function cleanPGN(moves) {
-  return moves.map((move) => move.split(' ')[0]).join(' ');
+  return moves.map((move) => parseMove(move).san).join(' ');
+}
+
+function getLatestClocks(parsedMoves) {
+  let whiteClock = null;
+  let blackClock = null;
+
+  parsedMoves.forEach((move, index) => {
+    if (move.clock === null) {
+      return;
+    }
+    if (index % 2 === 0) {
+      whiteClock = move.clock;
+    } else {
+      blackClock = move.clock;
+    }
+  });
+
+  return { whiteClock, blackClock };
 }
 
-async function getLatestRoundNumber() {
+async function getLatestRoundNumber(tournamentId) {
   try {
-    const tourneyResponse = await axios.get(getTourneyUrl());
+    const tourneyResponse = await lccGet(getTourneyUrl(tournamentId));
     const tourneyData = tourneyResponse.data;
 
     const rounds = tourneyData.rounds;
@@ -85,14 +120,27 @@ async function getLatestRoundNumber() {
 
     return latestRound;
   } catch (error) {
-    logger.error('Error fetching latest round number:', error);
+    logger.error(`Error fetching latest round number for tournament ${tournamentId}:`, error);
     throw new Error('Failed to fetch latest round number');
   }
 }
 
-async function isRoundLive(round) {
+async function getTournamentInfo(tournamentId) {
+  const response = await lccGet(getTourneyUrl(tournamentId));
+  const { name, location, country, website, timecontrol, rounds } = response.data;
+  return {
+    name: name || null,
+    location: location || null,
+    country: country || null,
+    website: website || null,
+    timeControl: timecontrol || null,
+    roundCount: (rounds || []).length,
+  };
+}
+
+async function isRoundLive(tournamentId, round) {
   try {
-    const response = await axios.get(getTourneyUrl());
+    const response = await lccGet(getTourneyUrl(tournamentId));
     const data = response.data;
 
     const rounds = data.rounds;
@@ -103,33 +151,134 @@ async function isRoundLive(round) {
     logger.warn(`Round ${round} is not live.`);
     return false;
   } catch (error) {
+    // An unreachable feed says nothing about the round, so callers must not treat it as the round ending
+    if (error instanceof LccUnreachableError) {
+      throw error;
+    }
     logger.warn(`Round ${round} is not live or data is unavailable.`);
     return false;
   }
 }
 
-async function areAllGamesOver(round) {
-  try {
-    const indexResponse = await axios.get(getIndexUrl(round));
-    const indexData = indexResponse.data;
+// Start time published for a round, or null. Dates without a UTC offset are read as UTC.
+function parseRoundStart(round) {
+  const value = round.start ?? round.startTime ?? (round.date ? `${round.date}${round.time ? `T${round.time}` : ''}` : null);
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const startsAt = typeof value === 'number' ? new Date(value) : new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value}Z`);
+  return Number.isNaN(startsAt.getTime()) ? null : startsAt;
+}
+
+// Everything tournament.json says about each round, from a single request
+async function getTournamentRounds(tournamentId) {
+  const response = await lccGet(getTourneyUrl(tournamentId));
+  return (response.data.rounds || []).map((round, index) => ({
+    round: index + 1,
+    live: round.live > 0,
+    gameCount: round.count || 0,
+    startsAt: parseRoundStart(round),
+  }));
+}
+
+// Whether every pairing of a round has a result, and whether any has one yet
+async function getRoundProgress(tournamentId, round) {
+  const indexResponse = await lccGet(getIndexUrl(tournamentId, round));
+  const pairings = indexResponse.data.pairings || [];
 
-    const allGamesOver = indexData.pairings.every((pairing) => {
+  return {
+    allOver: pairings.length > 0 && pairings.every((pairing) => {
       return pairing.result && standardizeResult(pairing.result) !== 'ongoing';
-    });
+    }),
+    anyResult: pairings.some((pairing) => ['1-0', '0-1', '1/2-1/2'].includes(standardizeResult(pairing.result))),
+  };
+}
 
-    return allGamesOver;
-  } catch (error) {
-    logger.error(`Error checking if all games are over in round ${round}:`, error);
-    return false;
+// Conditional GET of a single game; validators are the etag/lastModified of the previous response
+async function fetchGameData(tournamentId, round, game, validators = {}) {
+  const headers = {};
+  if (validators.etag) {
+    headers['If-None-Match'] = validators.etag;
+  }
+  if (validators.lastModified) {
+    headers['If-Modified-Since'] = validators.lastModified;
   }
+
+  const response = await lccGet(getGameUrl(tournamentId, round, game), {
+    headers,
+    validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+  });
+
+  return {
+    notModified: response.status === 304,
+    data: response.status === 304 ? null : response.data,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+  };
+}
+
+// Games are identified by their place in the pairings, so name or pairing fixes never fork a document
+function getGameId(tournamentId, round, board) {
+  return `${tournamentId}-${round}-${board}`;
+}
+
+function getPlayerName(player) {
+  return `${player?.fname || 'Unknown'} ${player?.lname || ''}`.trim();
 }
 
-async function getGameState(round, game) {
+function buildGameState(tournamentId, round, game, pairing, gameData) {
+  const chess = new Chess();
+  const parsedMoves = (gameData.moves || []).map(parseMove);
+  const cleanedPGN = cleanPGN(gameData.moves || []);
+  const { whiteClock, blackClock } = getLatestClocks(parsedMoves);
+
   try {
-    const gameResponse = await axios.get(getGameUrl(round, game));
+    chess.loadPgn(cleanedPGN);
+  } catch (chessError) {
+    logger.warn(`Error loading PGN for round ${round}, game ${game}: ${chessError.message}`);
+  }
+
+  const lastMoveLAN = getLastMoveFromPGN(cleanedPGN);
+  const fenBeforeLastMove = getFenBeforeLastMove(cleanedPGN);
+
+  const whiteName = getPlayerName(pairing.white);
+  const blackName = getPlayerName(pairing.black);
+
+  return {
+    gameId: getGameId(tournamentId, round, game),
+    tournamentId,
+    round: round,
+    board: game,
+    latestFEN: chess.fen() || '',
+    fenBeforeLastMove: fenBeforeLastMove || '',
+    lastMove: lastMoveLAN || '',
+    whiteName,
+    blackName,
+    whitePlayerKey: getPlayerKey(pairing.white?.fideid, whiteName),
+    blackPlayerKey: getPlayerKey(pairing.black?.fideid, blackName),
+    whiteFideId: pairing.white?.fideid || '',
+    blackFideId: pairing.black?.fideid || '',
+    whiteTitle: pairing.white?.title || '',
+    blackTitle: pairing.black?.title || '',
+    whiteRating: pairing.white?.rating || null,
+    blackRating: pairing.black?.rating || null,
+    latestPGN: cleanedPGN,
+    latestPGNWithClocks: buildPGNWithClocks(parsedMoves),
+    moves: parsedMoves,
+    ...classifyOpening(parsedMoves),
+    whiteClock,
+    blackClock,
+    result: standardizeResult(gameData.result),
+    isLive: gameData.live || false,
+  };
+}
+
+async function getGameState(tournamentId, round, game) {
+  try {
+    const gameResponse = await lccGet(getGameUrl(tournamentId, round, game));
     const gameData = gameResponse.data;
 
-    const indexResponse = await axios.get(getIndexUrl(round));
+    const indexResponse = await lccGet(getIndexUrl(tournamentId, round));
     const indexData = indexResponse.data;
 
     const pairing = indexData.pairings[game - 1];
@@ -137,52 +286,16 @@ async function getGameState(round, game) {
       throw new Error(`No pairing found for game ${game} in round ${round}`);
     }
 
-    const chess = new Chess();
-    const cleanedPGN = cleanPGN(gameData.moves || []);
-
-    try {
-      chess.loadPgn(cleanedPGN);
-    } catch (chessError) {
-      logger.warn(`Error loading PGN for round ${round}, game ${game}: ${chessError.message}`);
-    }
-
-    const lastMoveLAN = getLastMoveFromPGN(cleanedPGN);
-    const fenBeforeLastMove = getFenBeforeLastMove(cleanedPGN);
-
-    const whiteName = `${pairing.white?.fname || 'Unknown'} ${pairing.white?.lname || ''}`.trim();
-    const blackName = `${pairing.black?.fname || 'Unknown'} ${pairing.black?.lname || ''}`.trim();
-    const playerToken = generatePlayerToken(whiteName, blackName);
-
-    return {
-      gameId: `${TOURNAMENT_ID}-${round}-${game}-${playerToken}`,
-      round: round,
-      latestFEN: chess.fen() || '',
-      fenBeforeLastMove: fenBeforeLastMove || '',
-      lastMove: lastMoveLAN || '',
-      whiteName,
-      blackName,
-      whiteFideId: pairing.white?.fideid || '',
-      blackFideId: pairing.black?.fideid || '',
-      whiteTitle: pairing.white?.title || '',
-      blackTitle: pairing.black?.title || '',
-      latestPGN: cleanedPGN,
-      result: standardizeResult(gameData.result),
-      isLive: gameData.live || false,
-    };
+    return buildGameState(tournamentId, round, game, pairing, gameData);
   } catch (error) {
     logger.error(`Error fetching game state for game ${game} in round ${round}:`, error);
     throw error;
   }
 }
 
-function generatePlayerToken(whiteName, blackName) {
-  const combinedNames = `${whiteName}${blackName}`.replace(/\s+/g, '').toLowerCase();
-  return combinedNames.slice(0, 8);
-}
-
 const COMMENTARY_API_URL = process.env.COMMENTARY_API_URL;
 
-async function fetchCommentary(latestFEN, lastMove, whiteName, blackName) {
+async function fetchCommentary(latestFEN, lastMove, whiteName, blackName, { eco = null, openingName = null } = {}) {
   if (
     latestFEN === 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' ||
     latestFEN === 'startpos'
@@ -197,6 +310,8 @@ async function fetchCommentary(latestFEN, lastMove, whiteName, blackName) {
       last_move: lastMove,
       white_name: whiteName,
       black_name: blackName,
+      eco,
+      opening: openingName,
     };
 
     logger.info(`Sending request to commentary API: ${COMMENTARY_API_URL}`, payload);
@@ -246,40 +361,68 @@ async function fetchCommentary(latestFEN, lastMove, whiteName, blackName) {
   }
 }
 
-async function generateAndUploadImage(fen, whiteName, blackName, evaluation, highlightSquares) {
-  try {
-    // Generate image
-    const response = await axios.post(
-      process.env.IMAGE_GENERATION_API_URL,
-      {
-        fen,
-        wName: whiteName,
-        bName: blackName,
-        evaluation,
-        highlightSquares,
-      },
-      {
-        responseType: 'arraybuffer',
-      }
-    );
-
-    if (response.status !== 200) {
-      throw new Error(`Image generation failed: ${response.statusText}`);
+async function renderWithApi(fen, whiteName, blackName, evaluation, highlightSquares) {
+  if (!process.env.IMAGE_GENERATION_API_URL) {
+    throw new Error('IMAGE_GENERATION_API_URL is not set');
+  }
+  const response = await axios.post(
+    process.env.IMAGE_GENERATION_API_URL,
+    {
+      fen,
+      wName: whiteName,
+      bName: blackName,
+      evaluation,
+      highlightSquares,
+    },
+    {
+      responseType: 'arraybuffer',
     }
+  );
+
+  if (response.status !== 200) {
+    throw new Error(`Image generation failed: ${response.statusText}`);
+  }
 
-    const imageBuffer = Buffer.from(response.data, 'binary');
+  return { buffer: Buffer.from(response.data, 'binary'), contentType: 'image/jpeg', filename: 'board.jpg' };
+}
 
-    // Save the image temporarily
-    const tempImagePath = `/tmp/chess_image_${Date.now()}.jpg`;
-    fs.writeFileSync(tempImagePath, imageBuffer);
+function renderLocally(fen, whiteName, blackName, evaluation, highlightSquares) {
+  const buffer = renderBoardPng({ fen, whiteName, blackName, evaluation, highlightSquares });
+  return { buffer, contentType: 'image/png', filename: 'board.png' };
+}
 
-    // Upload to WhatsApp
+const IMAGE_RENDERER_FUNCTIONS = {
+  api: renderWithApi,
+  local: renderLocally,
+};
+
+async function renderBoardImage(fen, whiteName, blackName, evaluation, highlightSquares) {
+  for (const name of IMAGE_RENDERERS) {
+    const renderer = IMAGE_RENDERER_FUNCTIONS[name];
+    if (!renderer) {
+      logger.warn(`Unknown image renderer ${name}`);
+      continue;
+    }
+    try {
+      return await renderer(fen, whiteName, blackName, evaluation, highlightSquares);
+    } catch (error) {
+      logger.warn(`Image renderer ${name} failed: ${error.message}`);
+    }
+  }
+  throw new Error('No image renderer produced an image');
+}
+
+async function generateAndUploadImage(fen, whiteName, blackName, evaluation, highlightSquares) {
+  try {
+    const image = await renderBoardImage(fen, whiteName, blackName, evaluation, highlightSquares);
+
+    // Uploaded straight from memory, so nothing is left behind in /tmp when the upload fails
     const formData = new FormData();
-    formData.append('file', fs.createReadStream(tempImagePath));
-    formData.append('type', 'image/jpeg');
+    formData.append('file', image.buffer, { filename: image.filename, contentType: image.contentType });
+    formData.append('type', image.contentType);
     formData.append('messaging_product', 'whatsapp');
 
-    const uploadUrl = `https://graph.facebook.com/v17.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/media`;
+    const uploadUrl = `${WHATSAPP_API_URL}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/media`;
     const whatsappResponse = await axios.post(uploadUrl, formData, {
       headers: {
         ...formData.getHeaders(),
@@ -287,9 +430,6 @@ async function generateAndUploadImage(fen, whiteName, blackName, evaluation, hig
       },
     });
 
-    // Delete the temporary file
-    fs.unlinkSync(tempImagePath);
-
     if (whatsappResponse.status !== 200) {
       throw new Error(`WhatsApp upload failed: ${whatsappResponse.statusText}`);
     }
@@ -302,31 +442,23 @@ async function generateAndUploadImage(fen, whiteName, blackName, evaluation, hig
   }
 }
 
-async function getRoundGames(roundNumber) {
-  const games = [];
-  const MAX_GAMES = 6; // Adjust this based on the maximum number of games per round
+// Boards come from the round's index.json pairings, so every board is covered however large the section
+async function getRoundGames(tournamentId, roundNumber) {
+  try {
+    const indexResponse = await lccGet(getIndexUrl(tournamentId, roundNumber));
+    const pairings = indexResponse.data.pairings || [];
 
-  for (let gameNumber = 1; gameNumber <= MAX_GAMES; gameNumber++) {
-    try {
-      const response = await axios.get(`https://1.pool.livechesscloud.com/get/${TOURNAMENT_ID}/round-${roundNumber}/game-${gameNumber}.json?poll`);
-      const gameData = response.data;
-      
-      if (gameData.result !== "NOTPLAYED") {
-        games.push({
-          gameId: gameNumber,
-          ...gameData
-        });
-      }
-    } catch (error) {
-      logger.error(`Error fetching game ${gameNumber} for round ${roundNumber}:`, error);
-      // If we get a 404, it means we've reached the end of the games for this round
-      if (error.response && error.response.status === 404) {
-        break;
-      }
+    return pairings
+      .map((pairing, index) => ({ gameId: index + 1, pairing }))
+      .filter(({ pairing }) => pairing && pairing.white && pairing.black && pairing.result !== 'NOTPLAYED');
+  } catch (error) {
+    // Not published yet; an unreachable feed is an error for the caller to handle
+    if (isNotFound(error)) {
+      logger.warn(`No pairings published for round ${roundNumber} of tournament ${tournamentId}`);
+      return [];
     }
+    throw error;
   }
-
-  return games;
 }
 
 function isCheckmate(fen) {
@@ -335,10 +467,19 @@ function isCheckmate(fen) {
 }
 
 module.exports = {
+  getTourneyUrl,
+  getIndexUrl,
+  getGameUrl,
+  getGameId,
+  getPlayerName,
   getLatestRoundNumber,
+  getTournamentInfo,
   isRoundLive,
-  areAllGamesOver,
+  getTournamentRounds,
+  getRoundProgress,
   getGameState,
+  fetchGameData,
+  buildGameState,
   fetchCommentary,
   generateAndUploadImage,
   getRoundGames,
@@ -0,0 +1,260 @@
+// standings.js
+
+const { connectToDatabase } = require('./database');
+const { subscribe } = require('./events');
+const { getGameRepository } = require('./gameRepository');
+const { getPlayerKey } = require('./players');
+const logger = require('./logger');
+
+const STANDINGS_COLLECTION = process.env.STANDINGS_COLLECTION || 'standings';
+// In live standings an ongoing game counts as won once the eval passes this many pawns, otherwise as drawn
+const LIVE_EVAL_WIN_THRESHOLD = 2;
+
+// FIDE rating difference (dp) for a score fraction of 0.50 to 1.00 in steps of 0.01
+const FIDE_DP_TABLE = [
+  0, 7, 14, 21, 29, 36, 43, 50, 57, 65, 72, 80, 87, 95, 102, 110, 117, 125, 133, 141, 149, 158, 166, 175,
+  184, 193, 202, 211, 220, 230, 240, 251, 262, 273, 284, 296, 309, 322, 336, 351, 366, 383, 401, 422, 444,
+  470, 501, 538, 589, 677, 800,
+];
+
+const GAME_FIELDS = [
+  'round',
+  'board',
+  'result',
+  'whiteName',
+  'blackName',
+  'whiteTitle',
+  'blackTitle',
+  'whiteFideId',
+  'blackFideId',
+  'whiteRating',
+  'blackRating',
+  'whitePlayerKey',
+  'blackPlayerKey',
+];
+
+function getRatingDifference(fraction) {
+  const index = Math.round(Math.abs(fraction - 0.5) * 100);
+  const dp = FIDE_DP_TABLE[Math.min(index, FIDE_DP_TABLE.length - 1)];
+  return fraction >= 0.5 ? dp : -dp;
+}
+
+function scoreFor(result, color) {
+  if (result === '1/2-1/2') {
+    return 0.5;
+  }
+  if (result === '1-0') {
+    return color === 'white' ? 1 : 0;
+  }
+  if (result === '0-1') {
+    return color === 'black' ? 1 : 0;
+  }
+  return null;
+}
+
+// Projects an ongoing game from its latest eval; games without an eval stay pending
+function projectResult(game) {
+  const latestCommentary = (game.commentaries || []).slice(-1)[0];
+  if (!latestCommentary || typeof latestCommentary.stockfishEval !== 'number') {
+    return null;
+  }
+  if (latestCommentary.stockfishEval >= LIVE_EVAL_WIN_THRESHOLD) {
+    return '1-0';
+  }
+  if (latestCommentary.stockfishEval <= -LIVE_EVAL_WIN_THRESHOLD) {
+    return '0-1';
+  }
+  return '1/2-1/2';
+}
+
+function getOrCreatePlayer(players, game, color) {
+  const key = game[`${color}PlayerKey`] || getPlayerKey(game[`${color}FideId`], game[`${color}Name`]);
+  if (!players.has(key)) {
+    players.set(key, {
+      playerKey: key,
+      name: game[`${color}Name`],
+      title: game[`${color}Title`] || '',
+      fideId: game[`${color}FideId`] || '',
+      rating: game[`${color}Rating`] || null,
+      points: 0,
+      gamesPlayed: 0,
+      wins: 0,
+      draws: 0,
+      losses: 0,
+      pending: 0,
+      buchholz: 0,
+      sonnebornBerger: 0,
+      performanceRating: null,
+      results: [],
+    });
+  }
+  return players.get(key);
+}
+
+// live: false counts finished games only; 'pending' also lists unfinished games as undecided;
+// 'eval' projects them from their eval and lists the ones without an eval as undecided
+function computeStandings(games, { live = false } = {}) {
+  const players = new Map();
+
+  for (const game of games) {
+    const white = getOrCreatePlayer(players, game, 'white');
+    const black = getOrCreatePlayer(players, game, 'black');
+
+    let result = ['1-0', '0-1', '1/2-1/2'].includes(game.result) ? game.result : null;
+    if (!result && !live) {
+      continue;
+    }
+    const projected = !result && live === 'eval' ? projectResult(game) : null;
+    if (!result && projected) {
+      result = projected;
+    }
+
+    for (const [player, opponent, color] of [[white, black, 'white'], [black, white, 'black']]) {
+      const score = scoreFor(result, color);
+      player.results.push({
+        round: game.round,
+        gameId: game.gameId,
+        color,
+        opponentKey: opponent.playerKey,
+        score,
+        projected: Boolean(projected),
+      });
+
+      if (score === null) {
+        player.pending++;
+        continue;
+      }
+      player.points += score;
+      player.gamesPlayed++;
+      if (score === 1) {
+        player.wins++;
+      } else if (score === 0.5) {
+        player.draws++;
+      } else {
+        player.losses++;
+      }
+    }
+  }
+
+  for (const player of players.values()) {
+    const scoredResults = player.results.filter((result) => result.score !== null);
+    const ratedResults = [];
+
+    for (const result of scoredResults) {
+      const opponent = players.get(result.opponentKey);
+      player.buchholz += opponent.points;
+      player.sonnebornBerger += opponent.points * result.score;
+      if (opponent.rating) {
+        ratedResults.push({ rating: opponent.rating, score: result.score });
+      }
+    }
+
+    if (ratedResults.length > 0) {
+      const averageRating = ratedResults.reduce((sum, result) => sum + result.rating, 0) / ratedResults.length;
+      const fraction = ratedResults.reduce((sum, result) => sum + result.score, 0) / ratedResults.length;
+      player.performanceRating = Math.round(averageRating + getRatingDifference(fraction));
+    }
+  }
+
+  const standings = [...players.values()].sort(
+    (a, b) =>
+      b.points - a.points ||
+      b.buchholz - a.buchholz ||
+      b.sonnebornBerger - a.sonnebornBerger ||
+      a.name.localeCompare(b.name)
+  );
+  standings.forEach((player, index) => {
+    player.rank = index + 1;
+  });
+  return standings;
+}
+
+function formatScore(score) {
+  if (score === null) {
+    return '*';
+  }
+  return score === 0.5 ? '½' : String(score);
+}
+
+function buildCrosstable(standings) {
+  const ranks = new Map(standings.map((player) => [player.playerKey, player.rank]));
+
+  return standings.map((player) => ({
+    rank: player.rank,
+    playerKey: player.playerKey,
+    name: player.name,
+    title: player.title,
+    rating: player.rating,
+    points: player.points,
+    rounds: player.results
+      .slice()
+      .sort((a, b) => a.round - b.round)
+      .map((result) => ({
+        round: result.round,
+        opponentRank: ranks.get(result.opponentKey),
+        color: result.color === 'white' ? 'w' : 'b',
+        result: formatScore(result.score),
+      })),
+  }));
+}
+
+// Commentaries are only read when ongoing games are projected from their eval
+async function loadTournamentGames(tournamentId, { withEvals = false } = {}) {
+  const repository = await getGameRepository();
+  return repository.listGames(tournamentId, {}, {
+    fields: withEvals ? [...GAME_FIELDS, 'commentaries'] : GAME_FIELDS,
+  });
+}
+
+async function recomputeStandings(db, tournamentId) {
+  const standings = computeStandings(await loadTournamentGames(tournamentId));
+  const cached = {
+    tournamentId,
+    standings,
+    crosstable: buildCrosstable(standings),
+    computedAt: new Date(),
+  };
+
+  await db.collection(STANDINGS_COLLECTION).replaceOne({ tournamentId }, cached, { upsert: true });
+  logger.info(`Recomputed standings for tournament ${tournamentId}`);
+  return cached;
+}
+
+// Final-result standings come from the cache; it is filled on first use and refreshed on every result
+async function getStandings(db, tournamentId) {
+  const cached = await db.collection(STANDINGS_COLLECTION).findOne({ tournamentId });
+  return cached || recomputeStandings(db, tournamentId);
+}
+
+// Drops the cached standings after changes that emit no result event, such as reconciled pairings
+async function invalidateStandings(db, tournamentId) {
+  await db.collection(STANDINGS_COLLECTION).deleteOne({ tournamentId });
+}
+
+async function getLiveStandings(db, tournamentId, live) {
+  const standings = computeStandings(await loadTournamentGames(tournamentId, { withEvals: live === 'eval' }), { live });
+  return { tournamentId, live, standings, computedAt: new Date() };
+}
+
+function startStandingsUpdater() {
+  subscribe({}, (event) => {
+    if (event.type !== 'result') {
+      return;
+    }
+    connectToDatabase()
+      .then((db) => recomputeStandings(db, event.tournamentId))
+      .catch((error) => {
+        logger.error(`Error recomputing standings for tournament ${event.tournamentId}:`, error);
+      });
+  });
+  logger.info('Standings updater started');
+}
+
+module.exports = {
+  computeStandings,
+  buildCrosstable,
+  getStandings,
+  getLiveStandings,
+  invalidateStandings,
+  startStandingsUpdater,
+};
@@ -0,0 +1,46 @@
+// standingsApi.js
+
+const express = require('express');
+const router = express.Router();
+const { connectToDatabase } = require('./database');
+const { getStandings, getLiveStandings } = require('./standings');
+const logger = require('./logger');
+
+const LIVE_MODES = ['eval', 'pending'];
+
+// Standings from final results; ?live=pending adds ongoing games as undecided, ?live=eval projects them from their eval
+router.get('/tournament/:tournamentId/standings', async (req, res) => {
+  const { tournamentId } = req.params;
+  const { live } = req.query;
+  if (live !== undefined && !LIVE_MODES.includes(live)) {
+    return res.status(400).json({ error: `live must be one of: ${LIVE_MODES.join(', ')}` });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    if (live) {
+      return res.json(await getLiveStandings(db, tournamentId, live));
+    }
+
+    const { standings, computedAt } = await getStandings(db, tournamentId);
+    res.json({ tournamentId, live: false, standings, computedAt });
+  } catch (error) {
+    logger.error(`Error fetching standings of tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/tournament/:tournamentId/crosstable', async (req, res) => {
+  const { tournamentId } = req.params;
+
+  try {
+    const db = await connectToDatabase();
+    const { crosstable, computedAt } = await getStandings(db, tournamentId);
+    res.json({ tournamentId, crosstable, computedAt });
+  } catch (error) {
+    logger.error(`Error fetching crosstable of tournament ${tournamentId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
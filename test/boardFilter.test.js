@@ -0,0 +1,45 @@
+// boardFilter.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBoardFilter, isFeaturedBoard } = require('../boardFilter');
+
+const BOARD_3 = { board: 3, whiteName: 'Carlsen,  Magnus', blackName: 'Ding, Liren', whiteRating: 2830, blackRating: null };
+
+describe('normalizeBoardFilter', () => {
+  it('normalizes player names and drops blank ones', () => {
+    assert.deepEqual(normalizeBoardFilter({ players: [' CARLSEN ', '', 'Ding   Liren'], topBoards: 5 }), {
+      players: ['carlsen', 'ding liren'],
+      topBoards: 5,
+    });
+  });
+
+  it('treats empty player lists as no constraint', () => {
+    assert.equal(normalizeBoardFilter({ players: [] }), null);
+    assert.equal(normalizeBoardFilter({ players: ['  '] }), null);
+    assert.deepEqual(normalizeBoardFilter({ players: [], minRating: 2700 }), { minRating: 2700 });
+  });
+
+  it('rejects malformed filters', () => {
+    assert.throws(() => normalizeBoardFilter([]), /must be an object/);
+    assert.throws(() => normalizeBoardFilter({ topBoards: 0 }), /topBoards/);
+    assert.throws(() => normalizeBoardFilter({ players: 'Carlsen' }), /players/);
+    assert.throws(() => normalizeBoardFilter({ minRating: -1 }), /minRating/);
+  });
+});
+
+describe('isFeaturedBoard', () => {
+  it('features every board without a filter, or with a stored filter that has no criteria', () => {
+    assert.equal(isFeaturedBoard(null, BOARD_3), true);
+    assert.equal(isFeaturedBoard({ players: [] }, BOARD_3), true);
+  });
+
+  it('features a board that matches any criterion', () => {
+    assert.equal(isFeaturedBoard({ topBoards: 3 }, BOARD_3), true);
+    assert.equal(isFeaturedBoard({ topBoards: 2 }, BOARD_3), false);
+    assert.equal(isFeaturedBoard({ players: ['carlsen, magnus'] }, BOARD_3), true);
+    assert.equal(isFeaturedBoard({ players: ['gukesh'], topBoards: 1 }, BOARD_3), false);
+    assert.equal(isFeaturedBoard({ minRating: 2800 }, BOARD_3), true);
+    assert.equal(isFeaturedBoard({ minRating: 2850 }, BOARD_3), false);
+  });
+});
@@ -0,0 +1,219 @@
+// gameApi.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const axios = require('axios');
+const { MongoClient, ObjectId } = require('mongodb');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { GAME_SCHEMA_VERSION } = require('../migrations');
+
+const LEGACY_ID = new ObjectId();
+
+function game(round, board, fields = {}) {
+  return {
+    gameId: `t-${round}-${board}`,
+    tournamentId: 't',
+    round,
+    board,
+    schemaVersion: GAME_SCHEMA_VERSION,
+    result: 'ongoing',
+    isLive: false,
+    ...fields,
+  };
+}
+
+const GAMES = [
+  game(1, 1, { whiteName: 'Ding, Liren', blackName: 'So, Wesley', whitePlayerKey: 'fide:8603677', result: '1-0' }),
+  game(1, 2, { whiteName: 'Nepomniachtchi, Ian', blackName: 'Carlsen, Magnus', blackPlayerKey: 'fide:1503014', result: '1/2-1/2' }),
+  game(1, 3, { whiteName: 'Firouzja, Alireza', blackName: 'Gukesh D', result: '0-1' }),
+  game(2, 1, {
+    whiteName: 'Carlsen, Magnus',
+    blackName: 'Ding, Liren',
+    whitePlayerKey: 'fide:1503014',
+    isLive: true,
+    latestFEN: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1',
+    moves: [{ san: 'e4', clock: 5400, seenAt: new Date(0) }],
+    commentaries: [{ commentary: 'King pawn', stockfishEval: 0.3, ply: 1 }],
+  }),
+  game(2, 2, { whiteName: 'So, Wesley', blackName: 'Firouzja, Alireza', isLive: true }),
+  game(2, 3, { whiteName: 'Gukesh D', blackName: 'Nepomniachtchi, Ian', result: '1-0' }),
+  { _id: LEGACY_ID, gameId: 'legacy-carlsen', tournamentId: 'old', round: 1, board: 1, schemaVersion: GAME_SCHEMA_VERSION, whiteName: 'Legacy' },
+];
+
+describe('game API', () => {
+  let mongoServer;
+  let client;
+  let server;
+  let closeDatabase;
+  let api;
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+    process.env.DB_NAME = 'gameApiTest';
+    process.env.COLLECTION_NAME = 'games';
+    process.env.STORAGE_BACKEND = 'mongo';
+
+    client = await MongoClient.connect(mongoServer.getUri());
+    const db = client.db('gameApiTest');
+    await db.collection('games').insertMany(GAMES);
+    await db.collection('rounds').insertOne({ tournamentId: 't', round: 3, state: 'scheduled' });
+
+    // Required only now: the repository and database read their settings when first used
+    ({ closeDatabase } = require('../database'));
+    const app = express();
+    app.use('/api', require('../gameApi'));
+    server = app.listen(0);
+    api = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}/api`, validateStatus: () => true });
+  });
+
+  after(async () => {
+    server?.close();
+    await closeDatabase?.();
+    await client?.close();
+    await mongoServer?.stop();
+  });
+
+  async function listIds(query) {
+    const response = await api.get('/tournament/t/games', { params: query });
+    assert.equal(response.status, 200);
+    return response.data.games.map((listed) => listed.gameId);
+  }
+
+  describe('GET /tournament/:tournamentId/games', () => {
+    it('lists games in round and board order without the heavy fields', async () => {
+      const response = await api.get('/tournament/t/games');
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.data.games.map((listed) => listed.gameId), ['t-1-1', 't-1-2', 't-1-3', 't-2-1', 't-2-2', 't-2-3']);
+      assert.equal(response.data.nextCursor, null);
+
+      const live = response.data.games[3];
+      assert.deepEqual(live.white, {
+        name: 'Carlsen, Magnus',
+        title: '',
+        rating: null,
+        fideId: '',
+        playerKey: 'fide:1503014',
+        clock: null,
+      });
+      assert.equal(live.isLive, true);
+      assert.equal(live.stockfishEval, 0.3);
+      assert.equal(live.moves, undefined);
+      assert.equal(live.commentaries, undefined);
+    });
+
+    it('filters by round', async () => {
+      assert.deepEqual(await listIds({ round: 2 }), ['t-2-1', 't-2-2', 't-2-3']);
+    });
+
+    it('filters by player key or name', async () => {
+      assert.deepEqual(await listIds({ player: 'fide:1503014' }), ['t-1-2', 't-2-1']);
+      assert.deepEqual(await listIds({ player: 'GUKESH' }), ['t-1-3', 't-2-3']);
+    });
+
+    it('filters by result', async () => {
+      assert.deepEqual(await listIds({ result: '1-0' }), ['t-1-1', 't-2-3']);
+      assert.deepEqual(await listIds({ result: 'finished' }), ['t-1-1', 't-1-2', 't-1-3', 't-2-3']);
+      assert.deepEqual(await listIds({ result: 'ongoing' }), ['t-2-1', 't-2-2']);
+    });
+
+    it('filters by live', async () => {
+      assert.deepEqual(await listIds({ live: 'true' }), ['t-2-1', 't-2-2']);
+      assert.deepEqual(await listIds({ live: 'false', round: 2 }), ['t-2-3']);
+    });
+
+    it('pages with the cursor across rounds and boards', async () => {
+      const pages = [];
+      let cursor;
+      do {
+        const response = await api.get('/tournament/t/games', { params: { limit: 4, cursor, fields: 'board' } });
+        assert.equal(response.status, 200);
+        pages.push(response.data.games.map((listed) => listed.gameId));
+        cursor = response.data.nextCursor;
+      } while (cursor);
+      assert.deepEqual(pages, [['t-1-1', 't-1-2', 't-1-3', 't-2-1'], ['t-2-2', 't-2-3']]);
+    });
+
+    it('keeps the filters while paging', async () => {
+      const first = await api.get('/tournament/t/games', { params: { limit: 1, player: 'ding' } });
+      assert.deepEqual(first.data.games.map((listed) => listed.gameId), ['t-1-1']);
+      const second = await api.get('/tournament/t/games', { params: { limit: 1, player: 'ding', cursor: first.data.nextCursor } });
+      assert.deepEqual(second.data.games.map((listed) => listed.gameId), ['t-2-1']);
+      assert.equal(second.data.nextCursor, null);
+    });
+
+    it('returns only the requested fields', async () => {
+      const response = await api.get('/tournament/t/games', { params: { round: 1, fields: 'result,white' } });
+      assert.deepEqual(response.data.games[0], {
+        gameId: 't-1-1',
+        result: '1-0',
+        white: { name: 'Ding, Liren', title: '', rating: null, fideId: '', playerKey: 'fide:8603677', clock: null },
+      });
+    });
+
+    it('rejects bad filters with 400', async () => {
+      for (const params of [
+        { round: 'abc' },
+        { round: 0 },
+        { result: 'white' },
+        { live: 'yes' },
+        { cursor: 'not-a-cursor' },
+        { fields: 'result,password' },
+      ]) {
+        const response = await api.get('/tournament/t/games', { params });
+        assert.equal(response.status, 400, JSON.stringify(params));
+        assert.equal(typeof response.data.error, 'string');
+      }
+    });
+  });
+
+  describe('GET /tournament/:tournamentId/results', () => {
+    it('lists finished games only, with the other filters applied', async () => {
+      const response = await api.get('/tournament/t/results', { params: { round: 2 } });
+      assert.deepEqual(response.data.games.map((listed) => listed.gameId), ['t-2-3']);
+    });
+  });
+
+  describe('GET /tournament/:tournamentId/rounds', () => {
+    it('counts games per round and includes rounds that only have a state', async () => {
+      const response = await api.get('/tournament/t/rounds');
+      assert.deepEqual(response.data, [
+        { round: 1, state: null, startsAt: null, games: 3, live: 0, finished: 3 },
+        { round: 2, state: null, startsAt: null, games: 3, live: 2, finished: 1 },
+        { round: 3, state: 'scheduled', startsAt: null, games: 0, live: 0, finished: 0 },
+      ]);
+    });
+  });
+
+  describe('GET /game/:gameId', () => {
+    it('returns every field by default', async () => {
+      const response = await api.get('/game/t-2-1');
+      assert.equal(response.status, 200);
+      assert.equal(response.data.moves.length, 1);
+      assert.deepEqual(response.data.latestCommentary, { commentary: 'King pawn', stockfishEval: 0.3, ply: 1 });
+      assert.equal(response.data.eco, null);
+    });
+
+    it('returns only the requested fields', async () => {
+      const response = await api.get('/game/t-2-1', { params: { fields: 'gameId,latestFEN' } });
+      assert.deepEqual(response.data, {
+        gameId: 't-2-1',
+        latestFEN: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1',
+      });
+    });
+
+    it('finds documents from before board-based IDs by their _id', async () => {
+      const response = await api.get(`/game/${LEGACY_ID.toHexString()}`, { params: { fields: 'white' } });
+      assert.equal(response.status, 200);
+      assert.equal(response.data.gameId, 'legacy-carlsen');
+      assert.equal(response.data.white.name, 'Legacy');
+    });
+
+    it('answers 404 for unknown games and 400 for unknown fields', async () => {
+      assert.equal((await api.get('/game/t-9-9')).status, 404);
+      assert.equal((await api.get(`/game/${new ObjectId().toHexString()}`)).status, 404);
+      assert.equal((await api.get('/game/t-2-1', { params: { fields: 'nope' } })).status, 400);
+    });
+  });
+});
@@ -0,0 +1,303 @@
+// gameRepository.test.js
+// The same cases run against both backends, so the file backend keeps answering like Mongo does
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createFileGameRepository } = require('../fileGameRepository');
+const { createMongoGameRepository } = require('../mongoGameRepository');
+const { GAME_SCHEMA_VERSION } = require('../migrations');
+
+process.env.COLLECTION_NAME = 'games';
+
+function game(round, board, fields = {}) {
+  return { gameId: `t-${round}-${board}`, tournamentId: 't', round, board, moves: [], ...fields };
+}
+
+const GAMES = [
+  game(2, 1, { whiteName: 'Carlsen, Magnus', blackName: 'Ding, Liren', whitePlayerKey: 'fide:1503014', blackPlayerKey: 'fide:8603677', result: '*', isLive: true }),
+  game(1, 2, { whiteName: 'Nepomniachtchi, Ian', blackName: 'Carlsen, Magnus', blackPlayerKey: 'fide:1503014', result: '1/2-1/2', isLive: false }),
+  game(1, 1, { whiteName: 'Ding, Liren', blackName: 'So, Wesley', whitePlayerKey: 'fide:8603677', result: '1-0' }),
+  game(2, 2, { whiteName: 'So, Wesley', blackName: 'Caruana (USA), Fabiano', result: '0-1', isLive: false }),
+  game(1, 10, { whiteName: 'Firouzja, Alireza', blackName: 'Gukesh D', result: '*', isLive: true }),
+  { gameId: 'other-1-1', tournamentId: 'other', round: 1, board: 1, whiteName: 'Carlsen, Magnus', whitePlayerKey: 'fide:1503014', result: '1-0' },
+];
+
+function ids(games) {
+  return games.map((stored) => stored.gameId);
+}
+
+function runRepositoryTests(createRepository) {
+  let repository;
+
+  before(async () => {
+    repository = await createRepository();
+    await repository.init();
+    await repository.saveGames(GAMES);
+  });
+
+  it('lists the games of a tournament by round and board', async () => {
+    assert.deepEqual(ids(await repository.listGames('t')), ['t-1-1', 't-1-2', 't-1-10', 't-2-1', 't-2-2']);
+  });
+
+  it('filters by round', async () => {
+    assert.deepEqual(ids(await repository.listGames('t', { round: 2 })), ['t-2-1', 't-2-2']);
+  });
+
+  it('filters by player key or part of a name, ignoring case', async () => {
+    assert.deepEqual(ids(await repository.listGames('t', { player: 'fide:1503014' })), ['t-1-2', 't-2-1']);
+    assert.deepEqual(ids(await repository.listGames('t', { player: 'carlsen' })), ['t-1-2', 't-2-1']);
+    assert.deepEqual(ids(await repository.listGames('t', { player: 'caruana (usa)' })), ['t-2-2']);
+    assert.deepEqual(ids(await repository.listGames('t', { player: '.*' })), []);
+  });
+
+  it('filters by result', async () => {
+    assert.deepEqual(ids(await repository.listGames('t', { result: '1-0' })), ['t-1-1']);
+    assert.deepEqual(ids(await repository.listGames('t', { result: 'finished' })), ['t-1-1', 't-1-2', 't-2-2']);
+  });
+
+  it('filters by live, counting games without the flag as not live', async () => {
+    assert.deepEqual(ids(await repository.listGames('t', { live: true })), ['t-1-10', 't-2-1']);
+    assert.deepEqual(ids(await repository.listGames('t', { live: false })), ['t-1-1', 't-1-2', 't-2-2']);
+  });
+
+  it('combines filters', async () => {
+    assert.deepEqual(ids(await repository.listGames('t', { round: 1, player: 'ding', result: 'finished' })), ['t-1-1']);
+  });
+
+  it('pages across rounds and boards with the after cursor', async () => {
+    const pages = [];
+    let after;
+    for (;;) {
+      const page = await repository.listGames('t', after ? { after } : {}, { limit: 2 });
+      if (page.length === 0) {
+        break;
+      }
+      pages.push(ids(page));
+      const last = page[page.length - 1];
+      after = { round: last.round, board: last.board, gameId: last.gameId };
+    }
+    assert.deepEqual(pages, [['t-1-1', 't-1-2'], ['t-1-10', 't-2-1'], ['t-2-2']]);
+  });
+
+  it('applies the cursor together with the other filters', async () => {
+    const after = { round: 1, board: 2, gameId: 't-1-2' };
+    assert.deepEqual(ids(await repository.listGames('t', { after, result: 'finished' })), ['t-2-2']);
+  });
+
+  it('returns only the requested fields, with round and board for the cursor', async () => {
+    const [first] = await repository.listGames('t', {}, { limit: 1, fields: ['result'] });
+    assert.deepEqual(first, { gameId: 't-1-1', result: '1-0', round: 1, board: 1 });
+  });
+
+  it('reads single games with a projection', async () => {
+    assert.deepEqual(await repository.getGame('t-2-1', { fields: ['whiteName', 'isLive'] }), {
+      gameId: 't-2-1',
+      whiteName: 'Carlsen, Magnus',
+      isLive: true,
+    });
+    assert.equal(await repository.getGame('missing'), null);
+  });
+
+  it('counts games per round', async () => {
+    const counts = (await repository.getRoundCounts('t')).sort((a, b) => a.round - b.round);
+    assert.deepEqual(counts, [
+      { round: 1, games: 3, live: 1, finished: 2 },
+      { round: 2, games: 2, live: 1, finished: 1 },
+    ]);
+  });
+
+  it('keeps fields that a save does not mention and stamps the schema version', async () => {
+    await repository.saveGames([{ gameId: 't-1-1', lastUpdated: new Date(0) }]);
+    const stored = await repository.getGame('t-1-1');
+    assert.equal(stored.whiteName, 'Ding, Liren');
+    assert.equal(stored.schemaVersion, GAME_SCHEMA_VERSION);
+    assert.deepEqual(stored.lastUpdated, new Date(0));
+  });
+
+  it('only adds commentary and images while the game is at that position', async () => {
+    await repository.saveGames([{ gameId: 't-1-10', latestFEN: 'fen-2' }]);
+    assert.equal(await repository.addCommentary('t-1-10', 'fen-1', { commentary: 'old' }), false);
+    assert.equal(await repository.addCommentary('t-1-10', 'fen-2', { commentary: 'new' }), true);
+    assert.equal(await repository.setImage('t-1-10', 'fen-1', 'old-image'), false);
+    assert.equal(await repository.setImage('t-1-10', 'fen-2', 'new-image'), true);
+
+    const stored = await repository.getGame('t-1-10', { fields: ['commentaries', 'imageMediaId'] });
+    assert.deepEqual(stored.commentaries, [{ commentary: 'new' }]);
+    assert.equal(stored.imageMediaId, 'new-image');
+  });
+
+  it('records each moment key once', async () => {
+    assert.equal(await repository.addMoment('t-2-1', { key: 'blunder-20', ply: 20 }), true);
+    assert.equal(await repository.addMoment('t-2-1', { key: 'blunder-20', ply: 20 }), false);
+    await repository.setMomentMedia('t-2-1', 'blunder-20', { commentary: 'Oops', imageMediaId: 'media' });
+
+    const { moments } = await repository.getGame('t-2-1', { fields: ['moments'] });
+    assert.deepEqual(moments, [{ key: 'blunder-20', ply: 20, commentary: 'Oops', imageMediaId: 'media' }]);
+  });
+
+  it('renames and archives games', async () => {
+    await repository.updateGame('t-2-2', { gameId: 't-2-3', board: 3 });
+    assert.equal(await repository.getGame('t-2-2'), null);
+    assert.equal((await repository.getGame('t-2-3')).board, 3);
+
+    await repository.archiveGame(await repository.getGame('t-2-3'), 'pairing removed');
+    assert.equal(await repository.getGame('t-2-3'), null);
+  });
+}
+
+describe('file game repository', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'games-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  runRepositoryTests(() => createFileGameRepository(path.join(directory, 'games.json')));
+
+  it('reloads games, dates included, from the file', async () => {
+    const filePath = path.join(directory, 'reload.json');
+    const first = createFileGameRepository(filePath);
+    await first.init();
+    await first.saveGames([game(1, 1, { lastUpdated: new Date(1000) })]);
+
+    const second = createFileGameRepository(filePath);
+    await second.init();
+    const stored = await second.getGame('t-1-1');
+    assert.deepEqual(stored.lastUpdated, new Date(1000));
+  });
+
+  it('moves player-token IDs to board-based IDs unless another game already has it', async () => {
+    const filePath = path.join(directory, 'legacy.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      games: [
+        { gameId: 't-1-1-carlsen', tournamentId: 't', round: 1, board: 1, schemaVersion: 3 },
+        { gameId: 't-1-2-ding', tournamentId: 't', round: 1, board: 2, schemaVersion: 3 },
+        { gameId: 't-1-2', tournamentId: 't', round: 1, board: 2, schemaVersion: 3 },
+      ],
+    }));
+
+    const repository = createFileGameRepository(filePath);
+    await repository.init();
+
+    assert.deepEqual(ids(await repository.listGames('t')), ['t-1-1', 't-1-2', 't-1-2-ding']);
+    assert.equal((await repository.getGame('t-1-1')).legacyGameId, 't-1-1-carlsen');
+  });
+});
+
+describe('mongo game repository', () => {
+  let server;
+  let client;
+  let databaseCount = 0;
+
+  // Every suite gets its own database
+  function connectToNewDatabase() {
+    const db = client.db(`games-${++databaseCount}`);
+    return { db, connect: async () => db };
+  }
+
+  before(async () => {
+    server = await MongoMemoryServer.create();
+    client = await MongoClient.connect(server.getUri());
+  });
+
+  after(async () => {
+    await client?.close();
+    await server?.stop();
+  });
+
+  describe('queries', () => {
+    runRepositoryTests(() => createMongoGameRepository(connectToNewDatabase().connect));
+
+    it('finds documents from before board-based IDs by their _id', async () => {
+      const { db, connect } = connectToNewDatabase();
+      const { insertedId } = await db.collection('games').insertOne({ gameId: 'legacy', schemaVersion: GAME_SCHEMA_VERSION });
+      const repository = createMongoGameRepository(connect);
+      assert.equal((await repository.getGame(insertedId.toHexString())).gameId, 'legacy');
+    });
+  });
+
+  describe('migrate', () => {
+    it('upgrades outdated documents and records the run', async () => {
+      const { db, connect } = connectToNewDatabase();
+      await db.collection('games').insertMany([
+        { gameId: 'old', latestPGN: 'e4 c5' },
+        { gameId: 'current', schemaVersion: GAME_SCHEMA_VERSION, moves: [] },
+      ]);
+
+      await createMongoGameRepository(connect).init();
+
+      const old = await db.collection('games').findOne({ gameId: 'old' });
+      assert.equal(old.schemaVersion, GAME_SCHEMA_VERSION);
+      assert.deepEqual(old.moves.map((move) => move.san), ['e4', 'c5']);
+      const runs = await db.collection('schemaMigrations').find().toArray();
+      assert.equal(runs.length, 1);
+      assert.equal(runs[0].documents, 1);
+      assert.equal(runs[0].version, GAME_SCHEMA_VERSION);
+
+      // Nothing left to migrate: no second run is recorded
+      await createMongoGameRepository(connect).init();
+      assert.equal(await db.collection('schemaMigrations').countDocuments(), 1);
+    });
+
+    it('does not overwrite a document the updater rewrote while it was being migrated', async () => {
+      const { db } = connectToNewDatabase();
+      await db.collection('games').insertMany([
+        { gameId: 'rewritten', latestPGN: 'e4' },
+        { gameId: 'untouched', schemaVersion: 1, latestPGN: 'd4', moves: [{ san: 'd4' }] },
+      ]);
+
+      // The updater saves "rewritten" between the migration reading it and replacing it
+      const games = db.collection('games');
+      const racingGames = new Proxy(games, {
+        get(target, property) {
+          if (property === 'replaceOne') {
+            return async (filter, replacement) => {
+              if (replacement.gameId === 'rewritten') {
+                await target.updateOne({ gameId: 'rewritten' }, { $set: { schemaVersion: GAME_SCHEMA_VERSION, eco: 'C20' } });
+              }
+              return target.replaceOne(filter, replacement);
+            };
+          }
+          const value = target[property];
+          return typeof value === 'function' ? value.bind(target) : value;
+        },
+      });
+      const racingDb = { collection: (name) => (name === 'games' ? racingGames : db.collection(name)) };
+
+      await createMongoGameRepository(async () => racingDb).init();
+
+      const rewritten = await games.findOne({ gameId: 'rewritten' });
+      assert.equal(rewritten.eco, 'C20');
+      assert.equal(rewritten.moves, undefined);
+      const untouched = await games.findOne({ gameId: 'untouched' });
+      assert.equal(untouched.schemaVersion, GAME_SCHEMA_VERSION);
+      assert.equal(untouched.eco, 'A40');
+      const [run] = await db.collection('schemaMigrations').find().toArray();
+      assert.equal(run.documents, 1);
+    });
+
+    it('moves player-token IDs to board-based IDs unless another game already has it', async () => {
+      const { db, connect } = connectToNewDatabase();
+      await db.collection('games').insertMany([
+        { gameId: 't-1-1-carlsen', tournamentId: 't', round: 1, board: 1, schemaVersion: 3 },
+        { gameId: 't-1-2-ding', tournamentId: 't', round: 1, board: 2, schemaVersion: 3 },
+        { gameId: 't-1-2', tournamentId: 't', round: 1, board: 2, schemaVersion: 2, moves: [] },
+      ]);
+
+      const repository = createMongoGameRepository(connect);
+      await repository.init();
+
+      assert.deepEqual(ids(await repository.listGames('t')), ['t-1-1', 't-1-2', 't-1-2-ding']);
+      assert.equal((await repository.getGame('t-1-1')).legacyGameId, 't-1-1-carlsen');
+    });
+  });
+});
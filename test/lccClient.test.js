@@ -0,0 +1,156 @@
+// lccClient.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Read when lccClient is loaded
+process.env.LCC_RETRIES = '2';
+process.env.LCC_BACKOFF_BASE = '10';
+process.env.LCC_BACKOFF_MAX = '25';
+process.env.LCC_BREAKER_THRESHOLD = '2';
+process.env.LCC_BREAKER_COOLDOWN = '200';
+
+const { LccUnreachableError, lccGet, isNotFound, getBackoffDelay, getLccMetrics } = require('../lccClient');
+
+// Answers each request with the next status in the script, repeating the last one
+async function startFeed(statuses) {
+  const feed = { requests: 0 };
+  feed.server = http.createServer((req, res) => {
+    const status = statuses[Math.min(feed.requests++, statuses.length - 1)];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status }));
+  });
+  await new Promise((resolve) => feed.server.listen(0, '127.0.0.1', resolve));
+  feed.host = `127.0.0.1:${feed.server.address().port}`;
+  feed.url = `http://${feed.host}/get/t/tournament.json`;
+  return feed;
+}
+
+function getHost(feed) {
+  return getLccMetrics().find(({ host }) => host === feed.host);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('getBackoffDelay', () => {
+  let random;
+  before(() => {
+    random = Math.random;
+  });
+  after(() => {
+    Math.random = random;
+  });
+
+  it('doubles the ceiling on every attempt up to LCC_BACKOFF_MAX', () => {
+    Math.random = () => 0.999999;
+    assert.deepEqual([0, 1, 2, 3].map((attempt) => Math.round(getBackoffDelay(attempt))), [10, 20, 25, 25]);
+  });
+
+  it('picks a random delay below the ceiling', () => {
+    Math.random = () => 0.5;
+    assert.deepEqual([0, 1, 2].map(getBackoffDelay), [5, 10, 12.5]);
+    Math.random = () => 0;
+    assert.equal(getBackoffDelay(3), 0);
+  });
+});
+
+describe('lccGet', () => {
+  const feeds = [];
+  async function feedAnswering(statuses) {
+    const feed = await startFeed(statuses);
+    feeds.push(feed);
+    return feed;
+  }
+
+  after(() => {
+    for (const feed of feeds) {
+      feed.server.close();
+    }
+  });
+
+  it('retries server errors and rate limits until the feed answers', async () => {
+    const feed = await feedAnswering([503, 429, 200]);
+    const response = await lccGet(feed.url);
+    assert.deepEqual(response.data, { status: 200 });
+    assert.equal(feed.requests, 3);
+    assert.equal(getHost(feed).retries, 2);
+    assert.equal(getHost(feed).breakerState, 'closed');
+  });
+
+  it('gives up after LCC_RETRIES retries', async () => {
+    const feed = await feedAnswering([500]);
+    await assert.rejects(lccGet(feed.url), (error) => {
+      assert.ok(error instanceof LccUnreachableError);
+      assert.match(error.message, /failed after 3 attempt\(s\): HTTP 500/);
+      assert.equal(error.url, feed.url);
+      return true;
+    });
+    assert.equal(feed.requests, 3);
+    assert.equal(getHost(feed).consecutiveFailures, 1);
+  });
+
+  it('does not retry client errors, which leave the circuit closed', async () => {
+    const feed = await feedAnswering([404]);
+    await assert.rejects(lccGet(feed.url), (error) => {
+      assert.ok(!(error instanceof LccUnreachableError));
+      assert.ok(isNotFound(error));
+      return true;
+    });
+    assert.equal(feed.requests, 1);
+    assert.equal(getHost(feed).clientErrors, 1);
+    assert.equal(getHost(feed).breakerState, 'closed');
+  });
+
+  it('returns 304 responses when they are accepted', async () => {
+    const feed = await feedAnswering([304]);
+    const response = await lccGet(feed.url, {
+      headers: { 'If-None-Match': '"etag"' },
+      validateStatus: (status) => status === 304 || (status >= 200 && status < 300),
+    });
+    assert.equal(response.status, 304);
+    assert.equal(getHost(feed).notModified, 1);
+  });
+
+  it('opens the circuit after LCC_BREAKER_THRESHOLD failed requests and fails fast while open', async () => {
+    const feed = await feedAnswering([500]);
+    await assert.rejects(lccGet(feed.url), LccUnreachableError);
+    await assert.rejects(lccGet(feed.url), LccUnreachableError);
+    assert.equal(getHost(feed).breakerState, 'open');
+    assert.equal(getHost(feed).breakerOpens, 1);
+
+    const sent = feed.requests;
+    await assert.rejects(lccGet(feed.url), /Circuit open/);
+    assert.equal(feed.requests, sent);
+    assert.equal(getHost(feed).rejected, 1);
+  });
+
+  it('sends one trial request after the cooldown and closes the circuit when it succeeds', async () => {
+    const feed = await feedAnswering([500, 500, 500, 500, 500, 500, 200]);
+    await assert.rejects(lccGet(feed.url), LccUnreachableError);
+    await assert.rejects(lccGet(feed.url), LccUnreachableError);
+    assert.equal(getHost(feed).breakerState, 'open');
+
+    await sleep(250);
+    const trial = lccGet(feed.url);
+    await assert.rejects(lccGet(feed.url), /trial request in flight/);
+    assert.equal((await trial).status, 200);
+    assert.equal(getHost(feed).breakerState, 'closed');
+    assert.equal(getHost(feed).consecutiveFailures, 0);
+  });
+
+  it('reopens the circuit without retrying when the trial request fails', async () => {
+    const feed = await feedAnswering([500]);
+    await assert.rejects(lccGet(feed.url), LccUnreachableError);
+    await assert.rejects(lccGet(feed.url), LccUnreachableError);
+
+    await sleep(250);
+    const sent = feed.requests;
+    await assert.rejects(lccGet(feed.url), /failed after 1 attempt\(s\)/);
+    assert.equal(feed.requests, sent + 1);
+    assert.equal(getHost(feed).breakerState, 'open');
+    await assert.rejects(lccGet(feed.url), /Circuit open/);
+  });
+});
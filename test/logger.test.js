@@ -0,0 +1,101 @@
+// logger.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../logger');
+
+const MESSAGE = Symbol.for('message');
+
+// Runs a log entry through the logger's format and returns the JSON line it would write
+function format(fields) {
+  return JSON.parse(logger.format.transform({ level: 'info', message: 'test', ...fields })[MESSAGE]);
+}
+
+describe('logger', () => {
+  it('redacts bearer tokens and credentials in query strings', () => {
+    const line = format({
+      message: 'GET https://graph.facebook.com/v17.0/media?access_token=EAAG123&limit=5 with Bearer EAAG123',
+      url: '/whatsapp/webhook?hub.mode=subscribe&hub.verify_token=hunter2',
+    });
+    assert.equal(line.message, 'GET https://graph.facebook.com/v17.0/media?access_token=[REDACTED]&limit=5 with Bearer [REDACTED]');
+    assert.equal(line.url, '/whatsapp/webhook?hub.mode=subscribe&hub.verify_token=[REDACTED]');
+  });
+
+  it('redacts sensitive fields at any depth', () => {
+    const line = format({
+      headers: { Authorization: 'Bearer abc', 'X-Admin-Secret': 'abc', 'Content-Type': 'application/json' },
+      webhook: { url: 'https://example.com/hook', secret: 'abc', apiKey: 'abc' },
+      subscribers: [{ phoneNumber: '+4512345678', accessToken: 'abc' }],
+    });
+    assert.deepEqual(line.headers, { Authorization: '[REDACTED]', 'X-Admin-Secret': '[REDACTED]', 'Content-Type': 'application/json' });
+    assert.deepEqual(line.webhook, { url: 'https://example.com/hook', secret: '[REDACTED]', apiKey: '[REDACTED]' });
+    assert.deepEqual(line.subscribers, [{ phoneNumber: '+4512345678', accessToken: '[REDACTED]' }]);
+  });
+
+  it('keeps only the method, URL, timeout and response of HTTP errors', () => {
+    const error = new Error('Request failed with status code 401');
+    Object.assign(error, {
+      isAxiosError: true,
+      config: {
+        method: 'post',
+        url: 'https://api.openai.com/v1/chat/completions?key=abc',
+        timeout: 30000,
+        headers: { Authorization: 'Bearer sk-abc' },
+        data: '{"prompt":"..."}',
+      },
+      request: { socket: {} },
+      response: { status: 401, statusText: 'Unauthorized', headers: { 'set-cookie': 'abc' }, data: { error: 'invalid key' } },
+    });
+
+    const { error: logged } = format({ error });
+    assert.equal(logged.message, 'Request failed with status code 401');
+    assert.deepEqual(logged.http, {
+      method: 'post',
+      url: 'https://api.openai.com/v1/chat/completions?key=[REDACTED]',
+      timeout: 30000,
+      status: 401,
+      statusText: 'Unauthorized',
+      data: { error: 'invalid key' },
+    });
+    assert.doesNotMatch(JSON.stringify(logged), /sk-abc|set-cookie/);
+  });
+
+  it('drops request objects and summarizes axios configs merged into the entry', () => {
+    const line = format({
+      config: { method: 'get', url: 'https://example.com/?token=abc', headers: { Authorization: 'Bearer abc' } },
+      request: { headers: { Authorization: 'Bearer abc' } },
+      response: { status: 500, statusText: 'Server Error', headers: {}, data: 'oops' },
+    });
+    assert.deepEqual(line.config, { method: 'get', url: 'https://example.com/?token=[REDACTED]' });
+    assert.equal(line.request, undefined);
+    assert.deepEqual(line.response, { status: 500, statusText: 'Server Error', data: 'oops' });
+  });
+
+  it('shortens long strings, binary data and deep or circular values', () => {
+    const circular = { name: 'game' };
+    circular.self = circular;
+    const line = format({
+      pgn: 'e4 '.repeat(1000),
+      image: Buffer.alloc(2048),
+      circular,
+      deep: { a: { b: { c: { d: { e: { f: { g: 1 } } } } } } },
+    });
+    assert.equal(line.pgn.length, 2001);
+    assert.ok(line.pgn.endsWith('…'));
+    assert.equal(line.image, '[binary 2048 bytes]');
+    assert.deepEqual(line.circular, { name: 'game', self: '[Truncated]' });
+    assert.deepEqual(line.deep, { a: { b: { c: { d: { e: { f: '[Truncated]' } } } } } });
+  });
+
+  it('adds the correlation fields of the current context', async () => {
+    const line = await logger.withContext({ tournamentId: 't', round: 2 }, () =>
+      logger.withContext({ board: 3 }, async () => {
+        await Promise.resolve();
+        return format({ round: 5 });
+      })
+    );
+    assert.equal(line.tournamentId, 't');
+    assert.equal(line.board, 3);
+    assert.equal(line.round, 5);
+  });
+});
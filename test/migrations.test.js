@@ -0,0 +1,111 @@
+// migrations.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GAME_SCHEMA_VERSION, needsUpgrade, upgradeGame, keepLegacyGameId } = require('../migrations');
+
+const TOURNAMENT_ID = '0b8d3f0e-5c1a-4a7e-9f2b-3c4d5e6f7a8b';
+
+describe('upgradeGame', () => {
+  it('brings a single-tournament document from version 0 to the current shape', () => {
+    const game = {
+      gameId: `${TOURNAMENT_ID}-3-7-carlsen`,
+      round: 3,
+      latestPGN: 'e4 c5 Nf3 d6',
+      whiteName: 'Carlsen, Magnus',
+      whiteFideId: 1503014,
+      blackName: '  Ding   Liren ',
+    };
+
+    const upgraded = upgradeGame(game);
+
+    assert.equal(upgraded.schemaVersion, GAME_SCHEMA_VERSION);
+    assert.equal(upgraded.gameId, `${TOURNAMENT_ID}-3-7`);
+    assert.equal(upgraded.legacyGameId, `${TOURNAMENT_ID}-3-7-carlsen`);
+    assert.equal(upgraded.tournamentId, TOURNAMENT_ID);
+    assert.equal(upgraded.board, 7);
+    assert.deepEqual(upgraded.moves.map((move) => move.san), ['e4', 'c5', 'Nf3', 'd6']);
+    assert.deepEqual(upgraded.moves[0], { san: 'e4', clock: null, seenAt: null });
+    assert.equal(upgraded.whitePlayerKey, 'fide:1503014');
+    assert.equal(upgraded.blackPlayerKey, 'name:ding liren');
+    assert.equal(upgraded.eco, 'B50');
+    assert.equal(upgraded.openingName, 'Sicilian Defense: Modern Variations');
+  });
+
+  it('does not change the document it was given', () => {
+    const game = { gameId: `${TOURNAMENT_ID}-1-1`, latestPGN: 'd4 Nf6' };
+    upgradeGame(game);
+    assert.deepEqual(game, { gameId: `${TOURNAMENT_ID}-1-1`, latestPGN: 'd4 Nf6' });
+  });
+
+  it('keeps the tournament and board of multi-tournament documents', () => {
+    const upgraded = upgradeGame({
+      gameId: `${TOURNAMENT_ID}-2-5`,
+      tournamentId: 'other',
+      round: 2,
+      board: 12,
+      moves: [],
+    });
+    assert.equal(upgraded.tournamentId, 'other');
+    assert.equal(upgraded.board, 12);
+    assert.equal(upgraded.gameId, 'other-2-12');
+  });
+
+  it('moves player-token IDs of version 3 documents to the board-based ID', () => {
+    const upgraded = upgradeGame({ gameId: 't-1-4-ding', tournamentId: 't', round: 1, board: 4, schemaVersion: 3 });
+    assert.equal(upgraded.gameId, 't-1-4');
+    assert.equal(upgraded.legacyGameId, 't-1-4-ding');
+    assert.deepEqual(keepLegacyGameId(upgraded), { gameId: 't-1-4-ding', tournamentId: 't', round: 1, board: 4, schemaVersion: GAME_SCHEMA_VERSION });
+  });
+
+  it('keeps board-based IDs and IDs without a round or board', () => {
+    assert.equal(upgradeGame({ gameId: 't-1-4', tournamentId: 't', round: 1, board: 4, schemaVersion: 3 }).gameId, 't-1-4');
+    assert.equal(upgradeGame({ gameId: 'manual', tournamentId: 't', round: 1, schemaVersion: 3 }).gameId, 'manual');
+  });
+
+  it('leaves game IDs that are not UUID-based without a tournament', () => {
+    const upgraded = upgradeGame({ gameId: 'manual-game', moves: [] });
+    assert.equal(upgraded.tournamentId, undefined);
+    assert.equal(upgraded.board, undefined);
+  });
+
+  it('keeps stored moves and player keys from version 1', () => {
+    const moves = [{ san: 'd4', clock: 5400, seenAt: new Date(0) }, { san: 'Nf6', clock: 5395, seenAt: new Date(0) }];
+    const upgraded = upgradeGame({
+      gameId: 'g',
+      schemaVersion: 1,
+      latestPGN: 'e4',
+      moves,
+      whitePlayerKey: 'fide:1',
+      whiteName: 'Someone Else',
+      blackName: 'Black Player',
+    });
+    assert.deepEqual(upgraded.moves, moves);
+    assert.equal(upgraded.whitePlayerKey, 'fide:1');
+    assert.equal(upgraded.blackPlayerKey, 'name:black player');
+    assert.equal(upgraded.eco, 'A45');
+  });
+
+  it('only classifies the opening from version 2', () => {
+    const upgraded = upgradeGame({ gameId: 'g', schemaVersion: 2, latestPGN: 'e4 c5', moves: [] });
+    assert.equal(upgraded.moves.length, 0);
+    assert.equal(upgraded.whitePlayerKey, undefined);
+    assert.equal(upgraded.eco, null);
+    assert.equal(upgraded.openingName, null);
+    assert.equal(upgraded.schemaVersion, GAME_SCHEMA_VERSION);
+  });
+
+  it('keeps an opening that was already classified', () => {
+    const upgraded = upgradeGame({ gameId: 'g', schemaVersion: 2, moves: [{ san: 'e4' }], eco: 'X00', openingName: 'Stored' });
+    assert.equal(upgraded.eco, 'X00');
+    assert.equal(upgraded.openingName, 'Stored');
+  });
+
+  it('returns current documents and missing games as they are', () => {
+    const game = { gameId: 'g', schemaVersion: GAME_SCHEMA_VERSION };
+    assert.equal(upgradeGame(game), game);
+    assert.equal(upgradeGame(null), null);
+    assert.equal(needsUpgrade(game), false);
+    assert.equal(needsUpgrade({ gameId: 'g' }), true);
+  });
+});
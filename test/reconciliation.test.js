@@ -0,0 +1,150 @@
+// reconciliation.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MongoClient } = require('mongodb');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createMongoGameRepository } = require('../mongoGameRepository');
+const { reconcileRoundPairings, getGameAudit } = require('../reconciliation');
+const { GAME_SCHEMA_VERSION } = require('../migrations');
+
+process.env.COLLECTION_NAME = 'games';
+
+const PLAYERS = {
+  carlsen: { fname: 'Magnus', lname: 'Carlsen', fideid: 1503014 },
+  ding: { fname: 'Liren', lname: 'Ding', fideid: 8603677 },
+  so: { fname: 'Wesley', lname: 'So', fideid: 5202213 },
+  caruana: { fname: 'Fabiano', lname: 'Caruana', fideid: 2020009 },
+  gukesh: { fname: 'D', lname: 'Gukesh', fideid: 46616543 },
+};
+
+// The round as index.json lists it: one entry per board
+function pairings(...boards) {
+  return boards.map(([white, black], index) => ({
+    gameId: index + 1,
+    pairing: { white: PLAYERS[white], black: PLAYERS[black] },
+  }));
+}
+
+function game(board, white, black, fields = {}) {
+  return {
+    gameId: `t-1-${board}`,
+    tournamentId: 't',
+    round: 1,
+    board,
+    schemaVersion: GAME_SCHEMA_VERSION,
+    whiteName: `${PLAYERS[white].fname} ${PLAYERS[white].lname}`,
+    blackName: `${PLAYERS[black].fname} ${PLAYERS[black].lname}`,
+    whitePlayerKey: `fide:${PLAYERS[white].fideid}`,
+    blackPlayerKey: `fide:${PLAYERS[black].fideid}`,
+    moves: [{ san: 'e4' }],
+    ...fields,
+  };
+}
+
+describe('reconcileRoundPairings', () => {
+  let server;
+  let client;
+  let databaseCount = 0;
+
+  before(async () => {
+    server = await MongoMemoryServer.create();
+    client = await MongoClient.connect(server.getUri());
+  });
+
+  after(async () => {
+    await client?.close();
+    await server?.stop();
+  });
+
+  // Every case gets its own database with the given games stored
+  async function reconcile(stored, round) {
+    const db = client.db(`reconciliation-${++databaseCount}`);
+    const repository = createMongoGameRepository(async () => db);
+    await db.collection('games').insertMany(stored.map((storedGame) => ({ ...storedGame })));
+    await db.collection('positions').insertMany(stored.map(({ gameId }) => ({ gameId, ply: 1 })));
+
+    const boards = await reconcileRoundPairings(db, repository, 't', 1, round, await repository.getRoundGames('t', 1));
+    const games = await db.collection('games').find({}, { projection: { _id: 0 } }).sort({ board: 1 }).toArray();
+    const positions = await db.collection('positions').find({}).sort({ gameId: 1 }).toArray();
+    const audit = await getGameAudit(db, { tournamentId: 't' });
+    const archived = await db.collection('archivedGames').find({}).toArray();
+    return { boards: boards.sort(), games, positions, audit, archived };
+  }
+
+  it('leaves games that still match their pairing alone', async () => {
+    const { boards, games, audit } = await reconcile(
+      [game(1, 'carlsen', 'ding'), game(2, 'so', 'caruana')],
+      pairings(['carlsen', 'ding'], ['so', 'caruana'])
+    );
+    assert.deepEqual(boards, []);
+    assert.deepEqual(games.map(({ gameId }) => gameId), ['t-1-1', 't-1-2']);
+    assert.equal(audit.length, 0);
+  });
+
+  it('migrates games stored under a player-token ID to the board-based ID', async () => {
+    const legacy = game(2, 'so', 'caruana', { gameId: 't-1-2-abc123', board: undefined });
+    const { boards, games, positions, audit } = await reconcile([legacy], pairings(['carlsen', 'ding'], ['so', 'caruana']));
+    assert.deepEqual(boards, [2]);
+    assert.deepEqual(games.map(({ gameId, board }) => [gameId, board]), [['t-1-2', 2]]);
+    assert.deepEqual(positions.map(({ gameId }) => gameId), ['t-1-2']);
+    assert.deepEqual(audit.map(({ action, before, after }) => [action, before.gameId, after.gameId]), [['migrated', 't-1-2-abc123', 't-1-2']]);
+  });
+
+  it('follows pairings that swapped boards', async () => {
+    const { boards, games, positions, audit } = await reconcile(
+      [game(1, 'carlsen', 'ding'), game(2, 'so', 'caruana')],
+      pairings(['so', 'caruana'], ['carlsen', 'ding'])
+    );
+    assert.deepEqual(boards, [1, 2]);
+    assert.deepEqual(games.map(({ gameId, whiteName }) => [gameId, whiteName]), [['t-1-1', 'Wesley So'], ['t-1-2', 'Magnus Carlsen']]);
+    assert.equal(positions.length, 2);
+    assert.ok(positions.every(({ gameId }) => !gameId.startsWith('moving-')));
+    assert.deepEqual(audit.map(({ action }) => action), ['moved', 'moved']);
+  });
+
+  it('keeps a game on its board when the arbiters replace one player', async () => {
+    const { boards, games, audit } = await reconcile(
+      [game(1, 'carlsen', 'ding')],
+      pairings(['carlsen', 'gukesh'])
+    );
+    assert.deepEqual(boards, [1]);
+    assert.deepEqual(games.map(({ gameId }) => gameId), ['t-1-1']);
+    assert.equal(audit.length, 1);
+    assert.equal(audit[0].action, 'corrected');
+    assert.deepEqual(audit[0].after, { gameId: 't-1-1', board: 1, whiteName: 'Magnus Carlsen', blackName: 'D Gukesh' });
+  });
+
+  it('treats any new pairing on a board without moves as a correction', async () => {
+    const { boards, audit } = await reconcile(
+      [game(1, 'carlsen', 'ding', { moves: [] })],
+      pairings(['so', 'caruana'])
+    );
+    assert.deepEqual(boards, [1]);
+    assert.deepEqual(audit.map(({ action }) => action), ['corrected']);
+  });
+
+  it('archives games whose pairing is gone', async () => {
+    const { boards, games, archived, audit } = await reconcile(
+      [game(1, 'carlsen', 'ding'), game(2, 'so', 'caruana')],
+      pairings(['carlsen', 'ding'], ['gukesh', 'caruana']).slice(0, 1)
+    );
+    assert.deepEqual(boards, [2]);
+    assert.deepEqual(games.map(({ gameId }) => gameId), ['t-1-1']);
+    assert.deepEqual(archived.map(({ gameId, archiveReason }) => [gameId, archiveReason]), [['t-1-2', 'pairing removed']]);
+    assert.deepEqual(audit.map(({ action, after }) => [action, after]), [['archived', null]]);
+  });
+
+  it('keeps only the most recently updated of several documents for one board', async () => {
+    const { boards, games, archived } = await reconcile(
+      [
+        game(1, 'carlsen', 'ding', { gameId: 't-1-1-old', board: undefined, lastUpdated: new Date(1000) }),
+        game(1, 'carlsen', 'ding', { gameId: 't-1-1-new', board: undefined, lastUpdated: new Date(2000) }),
+      ],
+      pairings(['carlsen', 'ding'])
+    );
+    assert.deepEqual(boards, [1]);
+    assert.deepEqual(games.map(({ gameId, lastUpdated }) => [gameId, lastUpdated.getTime()]), [['t-1-1', 2000]]);
+    assert.deepEqual(archived.map(({ gameId, archiveReason }) => [gameId, archiveReason]), [['t-1-1-old', 'duplicate']]);
+  });
+});
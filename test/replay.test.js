@@ -0,0 +1,147 @@
+// replay.test.js
+// Runs the tracker against a recorded LiveChessCloud feed played back by the replay server
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { loadRecording } = require('../recorder');
+const { createReplayClock, createReplayApp } = require('../replayServer');
+
+const TOURNAMENT_ID = 'replay-test';
+const RECORDING = path.join(__dirname, 'fixtures', `${TOURNAMENT_ID}.jsonl`);
+const POLL_INTERVAL = 50;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Polls until check returns something truthy and returns it
+async function waitFor(description, check, timeout = 10000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeout) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    await sleep(POLL_INTERVAL);
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+describe('tracker replaying a recorded feed', () => {
+  const entries = loadRecording(RECORDING);
+  const steps = [...new Set(entries.map(({ at }) => at.getTime()))].map((at) => new Date(at));
+  let replayTime = steps[0];
+
+  let mongo;
+  let client;
+  let db;
+  let feed;
+  let updater;
+  let database;
+
+  before(async () => {
+    const app = createReplayApp(entries, { clock: { ...createReplayClock(entries), now: () => replayTime } });
+    feed = await new Promise((resolve) => {
+      const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    mongo = await MongoMemoryServer.create();
+
+    // Read when the updater's modules are loaded
+    process.env.LCC_BASE_URL = `http://127.0.0.1:${feed.address().port}/get`;
+    process.env.MONGODB_URI = mongo.getUri();
+    process.env.DB_NAME = 'replay';
+    process.env.COLLECTION_NAME = 'games';
+    process.env.LIVE_GAME_POLL_INTERVAL = String(POLL_INTERVAL);
+    updater = require('../updateDatabase');
+    database = require('../database');
+
+    client = await MongoClient.connect(mongo.getUri());
+    db = client.db('replay');
+    await updater.addTrackedTournament(TOURNAMENT_ID);
+  });
+
+  after(async () => {
+    await updater?.removeTrackedTournament(TOURNAMENT_ID);
+    // Let a cycle in flight finish before its database goes away
+    await sleep(10 * POLL_INTERVAL);
+    await database?.closeDatabase();
+    await client?.close();
+    await mongo?.stop();
+    feed?.close();
+  });
+
+  function getGame(gameId) {
+    return db.collection('games').findOne({ gameId });
+  }
+
+  async function getRoundState(round) {
+    return (await db.collection('rounds').findOne({ tournamentId: TOURNAMENT_ID, round }))?.state;
+  }
+
+  async function getEventTypes(query = {}) {
+    const events = await db.collection('gameEvents').find({ tournamentId: TOURNAMENT_ID, ...query }).sort({ seq: 1 }).toArray();
+    return events.map(({ type, round, board }) => `${type} ${round}${board ? `.${board}` : ''}`);
+  }
+
+  it('stores the games of a live round', async () => {
+    await waitFor('round 1 to be stored', async () => (await getGame(`${TOURNAMENT_ID}-1-2`))?.moves.length === 1);
+    const game = await getGame(`${TOURNAMENT_ID}-1-1`);
+    assert.equal(game.latestPGN, 'e4 e5');
+    assert.equal(game.isLive, true);
+    assert.equal(await getRoundState(1), 'live');
+    assert.equal(await getRoundState(2), 'scheduled');
+    assert.deepEqual(await getEventTypes({ type: { $ne: 'move' } }), ['roundStarted 1']);
+  });
+
+  it('stores a checkmate', async () => {
+    replayTime = steps[1];
+    const mated = await waitFor('the checkmate', async () => {
+      const game = await getGame(`${TOURNAMENT_ID}-1-1`);
+      return game.result === '1-0' && game;
+    });
+    assert.equal(mated.latestFEN, 'r1bqkb1r/pppp1Qpp/2n2n2/4p3/2B1P3/8/PPPP1PPP/RNB1K1NR b KQkq - 0 4');
+    assert.equal(mated.isLive, false);
+    assert.deepEqual(await getEventTypes({ board: 1, type: { $ne: 'move' } }), ['result 1.1', 'checkmate 1.1']);
+    assert.equal((await getGame(`${TOURNAMENT_ID}-1-2`)).result, 'ongoing');
+  });
+
+  it('stores a pairing correction whose game JSON did not change', async () => {
+    // Black on board 2 was replaced in index.json at the same recorded moment as the checkmate
+    const corrected = await waitFor('the corrected pairing', async () => {
+      const game = await getGame(`${TOURNAMENT_ID}-1-2`);
+      return game.blackName === 'D Gukesh' && game;
+    });
+    assert.equal(corrected.blackPlayerKey, 'fide:46616543');
+    assert.equal(corrected.latestPGN, 'd4');
+
+    // Once the new names are stored the game matches its pairing and is not reconciled again
+    await sleep(10 * POLL_INTERVAL);
+    const audit = await db.collection('gameAudit').find({ tournamentId: TOURNAMENT_ID }).toArray();
+    assert.deepEqual(audit.map(({ action, before, after: now }) => [action, before.blackName, now.blackName]), [
+      ['corrected', 'Fabiano Caruana', 'D Gukesh'],
+    ]);
+  });
+
+  it('finalizes a round when its broadcast ends and picks up the next one', async () => {
+    replayTime = steps[2];
+    await waitFor('round 1 to be finalized', async () => (await getRoundState(1)) === 'finalized');
+    assert.equal((await getGame(`${TOURNAMENT_ID}-1-2`)).result, '1/2-1/2');
+
+    await waitFor('round 2 to be stored', () => getGame(`${TOURNAMENT_ID}-2-2`));
+    assert.equal(await getRoundState(2), 'live');
+    assert.equal((await getGame(`${TOURNAMENT_ID}-2-1`)).whiteName, 'Liren Ding');
+
+    const transitions = await db.collection('roundTransitions').find({ tournamentId: TOURNAMENT_ID }).sort({ at: 1 }).toArray();
+    assert.deepEqual(transitions.map(({ round, from, to }) => `${round}: ${from} -> ${to}`), [
+      '1: null -> live',
+      '2: null -> scheduled',
+      '1: live -> finished',
+      '1: finished -> finalized',
+      '2: scheduled -> live',
+    ]);
+    assert.deepEqual(await getEventTypes({ type: /^round/ }), ['roundStarted 1', 'roundFinished 1', 'roundStarted 2']);
+  });
+});
@@ -0,0 +1,19 @@
+// requestParams.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRound } = require('../requestParams');
+
+describe('parseRound', () => {
+  it('reads positive integers and leaves an absent round undefined', () => {
+    assert.deepEqual(parseRound('3'), { round: 3 });
+    assert.deepEqual(parseRound('12'), { round: 12 });
+    assert.deepEqual(parseRound(undefined), { round: undefined });
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['', 'abc', '0', '-1', '2abc', '1.5', '03', ['1', '2']]) {
+      assert.deepEqual(parseRound(value), { error: 'round must be a positive integer' }, JSON.stringify(value));
+    }
+  });
+});
@@ -0,0 +1,34 @@
+// rounds.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRoundState } = require('../rounds');
+
+const PAIRED = { live: false, gameCount: 6, allOver: false, anyResult: false };
+
+describe('resolveRoundState', () => {
+  const cases = [
+    ['a new round without pairings is scheduled', undefined, { ...PAIRED, gameCount: 0 }, 'scheduled'],
+    ['a paired round that has not started is scheduled', undefined, PAIRED, 'scheduled'],
+    ['a scheduled round stays scheduled until something happens', 'scheduled', PAIRED, 'scheduled'],
+    ['a broadcast round is live', 'scheduled', { ...PAIRED, live: true }, 'live'],
+    ['a broadcast round is live even before its pairings', undefined, { ...PAIRED, gameCount: 0, live: true }, 'live'],
+    ['a live round with every result in is finished', 'live', { ...PAIRED, allOver: true, anyResult: true }, 'finished'],
+    ['a finished round stays finished', 'finished', { ...PAIRED, allOver: true, anyResult: true }, 'finished'],
+    ['a finalized round stays finalized', 'finalized', { ...PAIRED, allOver: true, anyResult: true }, 'finalized'],
+    ['a round that stops broadcasting with games left is stale', 'live', PAIRED, 'stale'],
+    ['a round with some results but no broadcast is stale', undefined, { ...PAIRED, anyResult: true }, 'stale'],
+    ['a finished round that reopens a game is stale', 'finished', PAIRED, 'stale'],
+    ['a finalized round that reopens a game is stale', 'finalized', PAIRED, 'stale'],
+    ['a stale round stays stale', 'stale', PAIRED, 'stale'],
+    ['a stale round with every result in is finished', 'stale', { ...PAIRED, allOver: true, anyResult: true }, 'finished'],
+    ['a stale round that is broadcast again is live', 'stale', { ...PAIRED, live: true }, 'live'],
+    ['a finalized round that is broadcast again is live', 'finalized', { ...PAIRED, live: true, allOver: true }, 'live'],
+  ];
+
+  for (const [name, currentState, feed, expected] of cases) {
+    it(name, () => {
+      assert.equal(resolveRoundState(currentState, feed), expected);
+    });
+  }
+});
@@ -0,0 +1,127 @@
+// standings.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStandings, buildCrosstable } = require('../standings');
+
+const RATINGS = { Anand: 2800, Bacrot: 2700, Caruana: 2600, Dubov: undefined };
+
+function game(round, white, black, result, fields = {}) {
+  return {
+    gameId: `t-${round}-${white}`,
+    round,
+    whiteName: white,
+    blackName: black,
+    whiteRating: RATINGS[white],
+    blackRating: RATINGS[black],
+    result,
+    ...fields,
+  };
+}
+
+// Round 3 Anand - Dubov is still being played
+const GAMES = [
+  game(1, 'Anand', 'Bacrot', '1-0'),
+  game(1, 'Caruana', 'Dubov', '1/2-1/2'),
+  game(2, 'Anand', 'Caruana', '1/2-1/2'),
+  game(2, 'Bacrot', 'Dubov', '1-0'),
+  game(3, 'Anand', 'Dubov', '*', { commentaries: [{ stockfishEval: 0.4 }, { stockfishEval: 2.5 }] }),
+  game(3, 'Bacrot', 'Caruana', '0-1'),
+];
+
+function summarize(standings) {
+  return standings.map(({ rank, name, points, buchholz, sonnebornBerger, performanceRating, pending }) => ({
+    rank, name, points, buchholz, sonnebornBerger, performanceRating, pending,
+  }));
+}
+
+describe('computeStandings', () => {
+  it('scores finished games with Buchholz, Sonneborn-Berger and performance rating', () => {
+    // Performance: average rated opponent plus the FIDE dp for the score fraction; unrated opponents are left out
+    assert.deepEqual(summarize(computeStandings(GAMES)), [
+      { rank: 1, name: 'Caruana', points: 2, buchholz: 3, sonnebornBerger: 2, performanceRating: 2750 + 193, pending: 0 },
+      { rank: 2, name: 'Anand', points: 1.5, buchholz: 3, sonnebornBerger: 2, performanceRating: 2650 + 193, pending: 0 },
+      { rank: 3, name: 'Bacrot', points: 1, buchholz: 4, sonnebornBerger: 0.5, performanceRating: 2700 - 800, pending: 0 },
+      { rank: 4, name: 'Dubov', points: 0.5, buchholz: 3, sonnebornBerger: 1, performanceRating: 2650 - 193, pending: 0 },
+    ]);
+  });
+
+  it('breaks ties on Buchholz, then Sonneborn-Berger, then name', () => {
+    const standings = computeStandings([
+      game(1, 'Anand', 'Bacrot', '1-0'),
+      game(1, 'Caruana', 'Dubov', '1-0'),
+      game(2, 'Anand', 'Dubov', '0-1'),
+      game(2, 'Caruana', 'Bacrot', '0-1'),
+    ]);
+    // Everyone has one point and the same tie-breaks, so the name decides
+    assert.deepEqual(standings.map(({ name, buchholz, sonnebornBerger }) => [name, buchholz, sonnebornBerger]), [
+      ['Anand', 2, 1],
+      ['Bacrot', 2, 1],
+      ['Caruana', 2, 1],
+      ['Dubov', 2, 1],
+    ]);
+
+    // Anand and Bacrot have the better Buchholz; Anand beat the stronger opponent
+    const byTieBreaks = computeStandings([
+      game(1, 'Anand', 'Bacrot', '1-0'),
+      game(1, 'Caruana', 'Dubov', '1-0'),
+      game(2, 'Bacrot', 'Dubov', '1-0'),
+    ]);
+    assert.deepEqual(byTieBreaks.map(({ name, points, buchholz, sonnebornBerger }) => [name, points, buchholz, sonnebornBerger]), [
+      ['Anand', 1, 1, 1],
+      ['Bacrot', 1, 1, 0],
+      ['Caruana', 1, 0, 0],
+      ['Dubov', 0, 2, 0],
+    ]);
+  });
+
+  it('leaves unfinished games out unless they are pending or projected', () => {
+    const finished = computeStandings(GAMES).find((player) => player.name === 'Anand');
+    assert.equal(finished.results.length, 2);
+
+    const pending = computeStandings(GAMES, { live: 'pending' }).find((player) => player.name === 'Anand');
+    assert.equal(pending.points, 1.5);
+    assert.equal(pending.pending, 1);
+    assert.deepEqual(pending.results[2], { round: 3, gameId: 't-3-Anand', color: 'white', opponentKey: 'name:dubov', score: null, projected: false });
+
+    // The latest eval is past the win threshold, so the game counts as won
+    const projected = computeStandings(GAMES, { live: 'eval' }).find((player) => player.name === 'Anand');
+    assert.equal(projected.points, 2.5);
+    assert.equal(projected.pending, 0);
+    assert.equal(projected.results[2].projected, true);
+  });
+
+  it('projects a draw for a small eval and keeps games without an eval pending', () => {
+    const standings = computeStandings(
+      [
+        game(1, 'Anand', 'Bacrot', '*', { commentaries: [{ stockfishEval: -1.9 }] }),
+        game(1, 'Caruana', 'Dubov', '*'),
+      ],
+      { live: 'eval' }
+    );
+    const byName = new Map(standings.map((player) => [player.name, player]));
+    assert.equal(byName.get('Anand').points, 0.5);
+    assert.equal(byName.get('Bacrot').points, 0.5);
+    assert.equal(byName.get('Caruana').pending, 1);
+    assert.equal(byName.get('Caruana').performanceRating, null);
+  });
+});
+
+describe('buildCrosstable', () => {
+  it('lists each round with the opponent rank, color and score', () => {
+    const crosstable = buildCrosstable(computeStandings(GAMES, { live: 'pending' }));
+    assert.deepEqual(crosstable[1], {
+      rank: 2,
+      playerKey: 'name:anand',
+      name: 'Anand',
+      title: '',
+      rating: 2800,
+      points: 1.5,
+      rounds: [
+        { round: 1, opponentRank: 3, color: 'w', result: '1' },
+        { round: 2, opponentRank: 1, color: 'w', result: '½' },
+        { round: 3, opponentRank: 4, color: 'w', result: '*' },
+      ],
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// tournaments.js
+
+const logger = require('./logger');
+
+const TOURNAMENTS_COLLECTION = process.env.TOURNAMENTS_COLLECTION || 'tournaments';
+
+function getTournamentsCollection(db) {
+  return db.collection(TOURNAMENTS_COLLECTION);
+}
+
+// TOURNAMENT_IDS is a comma separated list; TOURNAMENT_ID is still honoured for single-event setups
+function getConfiguredTournamentIds() {
+  const configured = process.env.TOURNAMENT_IDS || process.env.TOURNAMENT_ID || '';
+  return configured
+    .split(',')
+    .map((tournamentId) => tournamentId.trim())
+    .filter(Boolean);
+}
+
+async function addTournament(db, tournamentId) {
+  const result = await getTournamentsCollection(db).updateOne(
+    { tournamentId },
+    { $setOnInsert: { tournamentId, addedAt: new Date() } },
+    { upsert: true }
+  );
+
+  if (result.upsertedCount > 0) {
+    logger.info(`Tournament ${tournamentId} added to tracked tournaments`);
+  }
+  return result.upsertedCount > 0;
+}
+
+async function removeTournament(db, tournamentId) {
+  const result = await getTournamentsCollection(db).deleteOne({ tournamentId });
+
+  if (result.deletedCount > 0) {
+    logger.info(`Tournament ${tournamentId} removed from tracked tournaments`);
+  }
+  return result.deletedCount > 0;
+}
+
+async function setTournamentPaused(db, tournamentId, paused) {
+  const result = await getTournamentsCollection(db).updateOne(
+    { tournamentId },
+    { $set: { paused, pausedChangedAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+}
+
+async function setTournamentBoardFilter(db, tournamentId, boardFilter) {
+  const result = await getTournamentsCollection(db).updateOne(
+    { tournamentId },
+    { $set: { boardFilter } }
+  );
+  return result.matchedCount > 0;
+}
+
+// Stores the name, location and other details published in tournament.json
+async function updateTournamentInfo(db, tournamentId, info) {
+  await getTournamentsCollection(db).updateOne(
+    { tournamentId },
+    { $set: { info, infoUpdatedAt: new Date() } }
+  );
+}
+
+async function getTournament(db, tournamentId) {
+  return getTournamentsCollection(db).findOne({ tournamentId });
+}
+
+async function seedTournamentsFromEnv(db) {
+  for (const tournamentId of getConfiguredTournamentIds()) {
+    await addTournament(db, tournamentId);
+  }
+}
+
+async function getTrackedTournaments(db) {
+  return getTournamentsCollection(db).find({}).sort({ addedAt: 1 }).toArray();
+}
+
+module.exports = {
+  addTournament,
+  removeTournament,
+  setTournamentPaused,
+  setTournamentBoardFilter,
+  updateTournamentInfo,
+  getTournament,
+  seedTournamentsFromEnv,
+  getTrackedTournaments,
+};
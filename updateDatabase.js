@@ -1,249 +1,785 @@
 require('dotenv').config();
 const { connectToDatabase } = require('./database');
+const { getGameRepository } = require('./gameRepository');
 const {
-  getGameState,
-  fetchCommentary,
-  generateAndUploadImage,
-  isRoundLive,
-  areAllGamesOver,
+  fetchGameData,
+  buildGameState,
   getRoundGames,
+  getGameId,
   isCheckmate,
-  getLatestRoundNumber, // Add this import
+  getTournamentInfo,
+  getTournamentRounds,
+  getRoundProgress,
 } = require('./services');
-const { getLastMoveFromPGN } = require('./moveUtils');
+const {
+  addTournament,
+  removeTournament,
+  setTournamentPaused,
+  setTournamentBoardFilter,
+  updateTournamentInfo,
+  seedTournamentsFromEnv,
+  getTrackedTournaments,
+} = require('./tournaments');
+const { isFeaturedBoard } = require('./boardFilter');
+const { publishEvents } = require('./events');
+const { enqueueCommentary, enqueuePlyCommentary, enqueueMomentMedia } = require('./commentaryJobs');
+const { storePositions } = require('./positions');
+const { detectBoardMoments, recordMoments } = require('./moments');
+const { hasNewPairing, upsertPlayers } = require('./players');
+const { reconcileRoundPairings } = require('./reconciliation');
+const { invalidateStandings } = require('./standings');
+const { LccUnreachableError } = require('./lccClient');
+const { resolveRoundState, getRoundStates, saveRoundState, transitionRound } = require('./rounds');
+const { defineMetric, incrementCounter, observeSummary, registerCollector } = require('./metrics');
 const logger = require('./logger');
-const axios = require('axios');
-const TOURNAMENT_ID = process.env.TOURNAMENT_ID;
-const LIVE_GAME_POLL_INTERVAL = 4000; // 1 second
+const LIVE_GAME_POLL_INTERVAL = parseInt(process.env.LIVE_GAME_POLL_INTERVAL, 10) || 4000; // ms between polls of a live round
 const ROUND_CHECK_INTERVAL = 60000; // 1 minute
-const TOP_BOARDS = 6;
+const TOURNAMENT_SYNC_INTERVAL = 30000; // 30 seconds
+const ROUND_START_POLL_INTERVAL = 10000; // 10 seconds around a scheduled round start
+const ROUND_START_LEAD = 5 * 60000; // start watching 5 minutes before the published start
+const ROUND_START_GRACE = 30 * 60000; // and keep watching for 30 minutes after it
+const STALE_CHECK_INTERVAL = 10 * 60000; // 10 minutes
+const UPDATER_RESTART_DELAY = 5000; // doubled after every restart in a row
+const UPDATER_RESTART_MAX_DELAY = 5 * 60000; // 5 minutes
+// The main loop beats once per TOURNAMENT_SYNC_INTERVAL; missing a few beats means it is stuck or dead
+const UPDATER_HEARTBEAT_TIMEOUT = parseInt(process.env.UPDATER_HEARTBEAT_TIMEOUT, 10) || 3 * TOURNAMENT_SYNC_INTERVAL;
+// Likewise for a tracker missing a few of its cycles, with room for one slow poll of a large round
+const TRACKER_POLL_GRACE = 60000; // 1 minute
 
-const { MongoClient } = require('mongodb');
+defineMetric('lcc_poll_duration_seconds', 'summary', 'Duration of one poll cycle of a round');
+defineMetric('lcc_poll_requests_total', 'counter', 'LiveChessCloud requests made by poll cycles');
+defineMetric('games_updated_total', 'counter', 'Game documents written by poll cycles');
+defineMetric('updater_restarts_total', 'counter', 'Times the database updater loop died and was restarted');
 
-async function fetchCommentaryWithRetry(latestFEN, lastMove, whiteName, blackName, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      logger.info(`Attempting to fetch commentary (attempt ${i + 1}/${retries})`, {
-        latestFEN,
-        lastMove,
-        whiteName,
-        blackName
-      });
+const updaterHealth = {
+  startedAt: null,
+  heartbeatAt: null,
+  restarts: 0,
+};
+
+// Running updater state per tournament, keyed by tournamentId
+const trackers = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-      const commentary = await fetchCommentary(latestFEN, lastMove, whiteName, blackName);
-      
-      if (commentary === null || commentary === undefined) {
-        logger.warn('Received null or undefined commentary');
+// One scheduler cycle per tournament: tournament.json is read once and every round that is due is
+// advanced on its own, so an unfinished round no longer holds back the rounds after it
+async function trackTournament(repository, tracker) {
+  const { tournamentId } = tracker;
+  logger.info(`Started tracking tournament ${tournamentId}`);
+
+  try {
+    while (!tracker.stopped) {
+      if (tracker.paused) {
+        await waitForTracker(tracker, ROUND_CHECK_INTERVAL);
         continue;
       }
 
-      logger.info('Successfully fetched commentary', {
-        commentary: typeof commentary === 'string' ? commentary.slice(0, 100) + '...' : 'Non-string commentary'
-      });
+      let delay = ROUND_CHECK_INTERVAL;
+      try {
+        const db = await connectToDatabase();
 
-      return commentary;
-    } catch (error) {
-      const errorInfo = {
-        message: error.message,
-        stack: error.stack,
-        attempt: i + 1,
-        latestFEN,
-        lastMove,
-        whiteName,
-        blackName,
-        timestamp: new Date().toISOString()
-      };
-
-      if (axios.isAxiosError(error)) {
-        errorInfo.axiosError = {
-          status: error.response?.status,
-          statusText: error.response?.statusText,
-          data: error.response?.data,
-          headers: error.response?.headers
-        };
-      }
+        // Update tournament details once and resume from the round states stored before a restart
+        if (!tracker.rounds) {
+          await updateTournamentInfo(db, tournamentId, await getTournamentInfo(tournamentId));
+          const roundStates = await getRoundStates(db, tournamentId);
+          tracker.rounds = new Map(roundStates.map((roundState) => [roundState.round, roundState]));
+        }
+
+        const rounds = await getTournamentRounds(tournamentId);
+        tracker.lastPollAt = new Date();
+        tracker.feedReachable = true;
 
-      logger.error('Error fetching commentary:', errorInfo);
+        for (const roundInfo of rounds) {
+          if (tracker.stopped || tracker.paused) {
+            break;
+          }
+          try {
+            await logger.withContext({ round: roundInfo.round }, () => advanceRound(db, repository, tracker, roundInfo));
+          } catch (error) {
+            logger.error(`Error advancing round ${roundInfo.round} of tournament ${tournamentId}:`, error);
+            recordTrackerError(tracker, error);
+          }
+        }
 
-      if (i === retries - 1) {
-        logger.error('All retry attempts failed for fetching commentary');
-        throw error;
+        delay = getNextCycleDelay(tracker, new Date());
+        tracker.lastCycleAt = new Date();
+      } catch (error) {
+        if (error instanceof LccUnreachableError) {
+          // Round states only change on an answer from the feed, so live rounds stay live through a blip.
+          // The cycle still completed: an upstream outage is not something a restart would fix.
+          logger.warn(`LiveChessCloud unreachable for tournament ${tournamentId}: ${error.message}`);
+          if (tracker.rounds) {
+            delay = getNextCycleDelay(tracker, new Date());
+          }
+          tracker.feedReachable = false;
+          tracker.lastCycleAt = new Date();
+        } else {
+          logger.error(`Error tracking tournament ${tournamentId}:`, error);
+        }
+        recordTrackerError(tracker, error);
       }
 
-      const delay = 5000 * (i + 1);
-      logger.info(`Retrying in ${delay / 1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+      tracker.cycleDelay = delay;
+      await waitForTracker(tracker, delay);
+    }
+  } finally {
+    if (trackers.get(tournamentId) === tracker) {
+      trackers.delete(tournamentId);
     }
+    logger.info(`Stopped tracking tournament ${tournamentId}`);
   }
-  
-  logger.error('Failed to fetch valid commentary after all retries');
-  return null;
 }
 
-async function updateFinishedRounds(collection) {
-  logger.info('Updating finished rounds on boot up');
-  const latestRound = await getLatestRoundNumber();
+function isDue(roundState, now) {
+  return !roundState.nextCheckAt || roundState.nextCheckAt <= now;
+}
+
+// Live rounds are polled every cycle. Other rounds are only checked when due, and finalized
+// rounds only come back if the feed broadcasts them again.
+async function advanceRound(db, repository, tracker, roundInfo) {
+  const { tournamentId } = tracker;
+  const { round, live, startsAt } = roundInfo;
+  const current = tracker.rounds.get(round) || { round, state: null, nextCheckAt: null };
+  const now = new Date();
 
-  for (let roundNumber = 1; roundNumber <= latestRound; roundNumber++) {
-    const isLive = await isRoundLive(roundNumber);
-    const allGamesOver = await areAllGamesOver(roundNumber);
+  if (!live && (current.state === 'finalized' || (current.state !== 'live' && !isDue(current, now)))) {
+    return;
+  }
+
+  // The tournament.json read by the scheduler counts towards the cycle
+  const cycle = { requests: 1 };
+  let progress = { allOver: false, anyResult: false };
+  if (!live && roundInfo.gameCount > 0) {
+    progress = await getRoundProgress(tournamentId, round);
+    cycle.requests++;
+  }
 
-    if (isLive) {
-      logger.info(`Round ${roundNumber} is live. Stopping finished rounds update.`);
-      break;
+  let state = current.state;
+  const next = resolveRoundState(state, { ...roundInfo, ...progress });
+  const setState = async (to, reason) => {
+    await transitionRound(db, tournamentId, round, state, to, reason, { startsAt });
+    tracker.rounds.set(round, { ...current, state: to, startsAt });
+    state = to;
+  };
+
+  if (next === 'live') {
+    if (state !== 'live') {
+      await setState('live', 'broadcast started');
+      await publishRoundEvent(tournamentId, round, 'roundStarted');
+    }
+    await syncRoundGames(repository, tracker, round, cycle);
+  } else if (state === 'live') {
+    // Pick up the final moves and results before leaving the live state
+    await syncRoundGames(repository, tracker, round, cycle, { force: true });
+    await setState(next, 'broadcast ended');
+    await publishRoundEvent(tournamentId, round, 'roundFinished');
+  } else if (next === 'stale') {
+    await syncRoundGames(repository, tracker, round, cycle);
+    if (state !== 'stale') {
+      await setState('stale', 'unfinished without a broadcast');
     }
+  } else if (next !== state) {
+    await setState(next, next === 'finished' ? 'all games over' : 'no games started');
+  }
+
+  if (state === 'finished') {
+    await syncRoundGames(repository, tracker, round, cycle, { force: true });
+    await setState('finalized', 'final sync stored');
+  }
+
+  const nextCheckAt = getNextCheckAt(state, startsAt, now);
+  const changed = state !== current.state ||
+    String(nextCheckAt) !== String(current.nextCheckAt) ||
+    String(startsAt) !== String(current.startsAt);
+  const roundState = { ...current, state, startsAt, nextCheckAt };
+  tracker.rounds.set(round, roundState);
+  if (changed) {
+    await saveRoundState(db, tournamentId, round, { startsAt, nextCheckAt });
+  }
+}
+
+function getNextCheckAt(state, startsAt, now) {
+  if (state === 'live' || state === 'finalized') {
+    return null;
+  }
+  if (state === 'stale') {
+    return new Date(now.getTime() + STALE_CHECK_INTERVAL);
+  }
+  // Scheduled rounds are not checked before their published start; going live shows in tournament.json
+  if (state === 'scheduled' && startsAt && startsAt > now) {
+    return startsAt;
+  }
+  return new Date(now.getTime() + ROUND_CHECK_INTERVAL);
+}
 
-    if (allGamesOver) {
-      logger.info(`Updating finished round ${roundNumber}`);
-      await updateFinishedRound(collection, roundNumber);
-    } else {
-      logger.info(`Round ${roundNumber} is not finished. Stopping finished rounds update.`);
-      break;
+// Poll fast while a round is live or about to start, otherwise once per ROUND_CHECK_INTERVAL
+function getNextCycleDelay(tracker, now) {
+  let delay = ROUND_CHECK_INTERVAL;
+  for (const roundState of tracker.rounds.values()) {
+    if (roundState.state === 'live') {
+      return LIVE_GAME_POLL_INTERVAL;
+    }
+    const startsAt = roundState.startsAt ? roundState.startsAt.getTime() : null;
+    if (
+      roundState.state === 'scheduled' &&
+      startsAt &&
+      now.getTime() >= startsAt - ROUND_START_LEAD &&
+      now.getTime() <= startsAt + ROUND_START_GRACE
+    ) {
+      delay = ROUND_START_POLL_INTERVAL;
     }
   }
-  logger.info('Finished updating finished rounds');
+  return delay;
 }
 
-async function updateDatabase() {
-  let db;
-  try {
-    logger.info('Connecting to database...');
-    db = await connectToDatabase();
-    const collection = db.collection(process.env.COLLECTION_NAME);
-    logger.info('Connected to database');
-
-    // Update finished rounds on boot up
-    await updateFinishedRounds(collection);
-
-    // Main loop for live rounds
-    while (true) {
-      const latestRound = await getLatestRoundNumber();
-      let foundLiveRound = false;
-
-      for (let roundNumber = 1; roundNumber <= latestRound; roundNumber++) {
-        const isLive = await isRoundLive(roundNumber);
-
-        if (isLive) {
-          logger.info(`Processing live round ${roundNumber}`);
-          await pollLiveRound(collection, roundNumber);
-          foundLiveRound = true;
-          break; // Stop checking further rounds
-        }
-      }
+function createTracker(repository, tournament) {
+  return {
+    tournamentId: tournament.tournamentId,
+    repository,
+    paused: Boolean(tournament.paused),
+    boardFilter: tournament.boardFilter || null,
+    stopped: false,
+    rounds: null,
+    activeSince: new Date(),
+    cycleDelay: ROUND_CHECK_INTERVAL,
+    lastCycleAt: null,
+    lastPollAt: null,
+    feedReachable: null,
+    lastError: null,
+    lastBackfill: null,
+    gameCache: new Map(),
+    wake: null,
+  };
+}
 
-      if (!foundLiveRound) {
-        logger.info('No live rounds found. Waiting before next check.');
-        await new Promise(resolve => setTimeout(resolve, ROUND_CHECK_INTERVAL));
-      }
+// Sleeps like setTimeout, but returns early when the tracker is woken by a pause, resume or removal
+function waitForTracker(tracker, ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      tracker.wake = null;
+      resolve();
     }
+    tracker.wake = done;
+  });
+}
 
-  } catch (error) {
-    logger.error('Error in database updater:', error);
+function wakeTracker(tracker) {
+  if (tracker.wake) {
+    tracker.wake();
   }
 }
 
-async function updateFinishedRound(collection, roundNumber) {
-  try {
-    const games = await getRoundGames(roundNumber);
-    
-    for (const game of games) {
-      try {
-        const gameState = await getGameState(roundNumber, game.gameId);
-        await updateGame(collection, gameState);
-        logger.info(`Updated finished game ${game.gameId} in round ${roundNumber}`);
-      } catch (error) {
-        logger.error(`Error updating finished game ${game.gameId} in round ${roundNumber}:`, error);
-      }
+function recordTrackerError(tracker, error) {
+  tracker.lastError = {
+    message: error.message,
+    at: new Date(),
+  };
+}
+
+async function syncTrackedTournaments(db, repository) {
+  const tournaments = await getTrackedTournaments(db);
+  const tournamentIds = tournaments.map((tournament) => tournament.tournamentId);
+
+  for (const tournament of tournaments) {
+    const tracker = trackers.get(tournament.tournamentId);
+
+    if (!tracker) {
+      const newTracker = createTracker(repository, tournament);
+      trackers.set(tournament.tournamentId, newTracker);
+      logger.withContext({ tournamentId: tournament.tournamentId }, () => trackTournament(repository, newTracker));
+    } else if (tracker.paused !== Boolean(tournament.paused)) {
+      logger.info(`Tournament ${tournament.tournamentId} ${tournament.paused ? 'paused' : 'resumed'}`);
+      tracker.paused = Boolean(tournament.paused);
+      tracker.activeSince = new Date();
+      wakeTracker(tracker);
+    }
+
+    if (tracker) {
+      tracker.boardFilter = tournament.boardFilter || null;
     }
-  } catch (error) {
-    logger.error(`Error updating finished round ${roundNumber}:`, error);
   }
-}
 
-async function pollLiveRound(collection, roundNumber) {
-  logger.info(`Starting to poll live round ${roundNumber}`);
-  while (await isRoundLive(roundNumber)) {
-    const games = await getRoundGames(roundNumber);
-    if (games && games.length > 0) {
-      await updateLiveGames(collection, roundNumber, games);
+  for (const [tournamentId, tracker] of trackers) {
+    if (!tournamentIds.includes(tournamentId)) {
+      logger.info(`Tournament ${tournamentId} is no longer tracked. Stopping its updater.`);
+      tracker.stopped = true;
+      trackers.delete(tournamentId);
+      wakeTracker(tracker);
     }
-    await new Promise(resolve => setTimeout(resolve, LIVE_GAME_POLL_INTERVAL));
   }
-  logger.info(`Round ${roundNumber} is no longer live`);
 }
 
-async function updateLiveGames(collection, roundNumber, games) {
-  for (const game of games) {
+// Runs until it fails; startDatabaseUpdater restarts it
+async function updateDatabase() {
+  logger.info('Connecting to database...');
+  const db = await connectToDatabase();
+  const repository = await getGameRepository();
+  logger.info('Connected to database');
+
+  await seedTournamentsFromEnv(db);
+
+  // Pick up tournaments added, removed or paused at runtime
+  while (true) {
+    updaterHealth.heartbeatAt = new Date();
     try {
-      const gameState = await getGameState(roundNumber, game.gameId);
-      await updateGame(collection, gameState);
-      logger.info(`Updated live game ${game.gameId} in round ${roundNumber}`);
+      await syncTrackedTournaments(db, repository);
     } catch (error) {
-      logger.error(`Error updating live game ${game.gameId}:`, error);
+      logger.error('Error syncing tracked tournaments:', error);
     }
+    await sleep(TOURNAMENT_SYNC_INTERVAL);
   }
 }
 
-async function updateGame(collection, gameState) {
-  try {
-    const existingGame = await collection.findOne({ 
-      gameId: gameState.gameId,
-      tournamentId: TOURNAMENT_ID
+// Paused trackers do not cycle; the others must have completed a cycle within a few cycle delays
+// since they started or were resumed. Cycles that found the feed unreachable count as completed.
+function isTrackerCycling(tracker, now) {
+  if (tracker.paused) {
+    return true;
+  }
+  const since = Math.max(tracker.activeSince.getTime(), tracker.lastCycleAt ? tracker.lastCycleAt.getTime() : 0);
+  return now - since < 3 * tracker.cycleDelay + TRACKER_POLL_GRACE;
+}
+
+// Heartbeat of the main loop and the last poll of every tournament, for health checks
+function getUpdaterHealth() {
+  const now = Date.now();
+  const trackerHealth = [...trackers.values()].map((tracker) => ({
+    tournamentId: tracker.tournamentId,
+    paused: tracker.paused,
+    cycling: isTrackerCycling(tracker, now),
+    lastCycleAt: tracker.lastCycleAt,
+    lastPollAt: tracker.lastPollAt,
+    feedReachable: tracker.feedReachable,
+    lastError: tracker.lastError,
+  }));
+  const heartbeating = Boolean(updaterHealth.heartbeatAt) && now - updaterHealth.heartbeatAt.getTime() < UPDATER_HEARTBEAT_TIMEOUT;
+
+  return {
+    alive: heartbeating && trackerHealth.every((tracker) => tracker.cycling),
+    startedAt: updaterHealth.startedAt,
+    heartbeatAt: updaterHealth.heartbeatAt,
+    restarts: updaterHealth.restarts,
+    trackers: trackerHealth,
+  };
+}
+
+registerCollector(async () => [
+  {
+    name: 'updater_heartbeat_timestamp_seconds',
+    type: 'gauge',
+    help: 'Unix time of the last database updater loop heartbeat',
+    samples: [{ labels: {}, value: updaterHealth.heartbeatAt ? updaterHealth.heartbeatAt.getTime() / 1000 : 0 }],
+  },
+  {
+    name: 'tournament_last_poll_timestamp_seconds',
+    type: 'gauge',
+    help: 'Unix time of the last poll of each tracked tournament',
+    samples: [...trackers.values()].map((tracker) => ({
+      labels: { tournament: tracker.tournamentId },
+      value: tracker.lastPollAt ? tracker.lastPollAt.getTime() / 1000 : 0,
+    })),
+  },
+  {
+    name: 'tournament_feed_reachable',
+    type: 'gauge',
+    help: 'Whether the last cycle of each tracked tournament reached LiveChessCloud: 1 yes, 0 no',
+    samples: [...trackers.values()]
+      .filter((tracker) => tracker.feedReachable !== null)
+      .map((tracker) => ({ labels: { tournament: tracker.tournamentId }, value: tracker.feedReachable ? 1 : 0 })),
+  },
+]);
+
+function getTrackerState(tracker) {
+  return {
+    tournamentId: tracker.tournamentId,
+    running: true,
+    paused: tracker.paused,
+    boardFilter: tracker.boardFilter,
+    liveRounds: tracker.rounds
+      ? [...tracker.rounds.values()].filter((roundState) => roundState.state === 'live').map(({ round }) => round)
+      : [],
+    rounds: tracker.rounds
+      ? [...tracker.rounds.values()].map(({ round, state, startsAt, nextCheckAt }) => ({ round, state, startsAt, nextCheckAt }))
+      : [],
+    lastPollAt: tracker.lastPollAt,
+    lastError: tracker.lastError,
+    lastBackfill: tracker.lastBackfill,
+  };
+}
+
+async function getUpdaterState() {
+  const db = await connectToDatabase();
+  const tournaments = await getTrackedTournaments(db);
+
+  return tournaments.map((tournament) => {
+    const tracker = trackers.get(tournament.tournamentId);
+    if (tracker) {
+      return getTrackerState(tracker);
+    }
+    return {
+      tournamentId: tournament.tournamentId,
+      running: false,
+      paused: Boolean(tournament.paused),
+      boardFilter: tournament.boardFilter || null,
+    };
+  });
+}
+
+async function getTournamentUpdaterState(tournamentId) {
+  const state = await getUpdaterState();
+  return state.find((tournament) => tournament.tournamentId === tournamentId) || null;
+}
+
+async function addTrackedTournament(tournamentId) {
+  const db = await connectToDatabase();
+  const added = await addTournament(db, tournamentId);
+  await syncTrackedTournaments(db, await getGameRepository());
+  return added;
+}
+
+async function removeTrackedTournament(tournamentId) {
+  const db = await connectToDatabase();
+  const removed = await removeTournament(db, tournamentId);
+  await syncTrackedTournaments(db, await getGameRepository());
+  return removed;
+}
+
+async function setTrackedTournamentBoardFilter(tournamentId, boardFilter) {
+  const db = await connectToDatabase();
+  const updated = await setTournamentBoardFilter(db, tournamentId, boardFilter);
+  await syncTrackedTournaments(db, await getGameRepository());
+  return updated;
+}
+
+async function setTrackedTournamentPaused(tournamentId, paused) {
+  const db = await connectToDatabase();
+  const updated = await setTournamentPaused(db, tournamentId, paused);
+  await syncTrackedTournaments(db, await getGameRepository());
+  return updated;
+}
+
+// Re-fetches every game of a round in the background, regardless of whether the round is finished
+function backfillRound(tournamentId, roundNumber) {
+  const tracker = trackers.get(tournamentId);
+  if (!tracker) {
+    return false;
+  }
+
+  const backfill = { round: roundNumber, startedAt: new Date(), finishedAt: null };
+  tracker.lastBackfill = backfill;
+  logger.withContext({ tournamentId, round: roundNumber }, () => updateFinishedRound(tracker.repository, tracker, roundNumber))
+    .then(() => {
+      logger.info(`Backfill of round ${roundNumber} of tournament ${tournamentId} finished`);
+    })
+    .catch((error) => {
+      logger.error(`Backfill of round ${roundNumber} of tournament ${tournamentId} failed:`, error);
+    })
+    // Marked finished even when it failed, so the admin API never shows a backfill running forever
+    .finally(() => {
+      backfill.finishedAt = new Date();
     });
-    
-    let update = {
-      $set: {
-        lastUpdated: new Date(),
-        tournamentId: TOURNAMENT_ID,
-        ...gameState
+  return true;
+}
+
+async function updateFinishedRound(repository, tracker, roundNumber) {
+  try {
+    const cycle = { requests: 0 };
+    await syncRoundGames(repository, tracker, roundNumber, cycle, { force: true });
+  } catch (error) {
+    logger.error(`Error updating finished round ${roundNumber}:`, error);
+  }
+}
+
+async function publishRoundEvent(tournamentId, roundNumber, type) {
+  try {
+    await publishEvents(await connectToDatabase(), [{ type, tournamentId, round: roundNumber, data: {} }]);
+  } catch (error) {
+    logger.error(`Error publishing ${type} for round ${roundNumber} of tournament ${tournamentId}:`, error);
+  }
+}
+
+function getGameCacheKey(roundNumber, board) {
+  return `${roundNumber}-${board}`;
+}
+
+// Snapshot compared between polls when the feed does not answer conditional requests with a 304
+function getGameFingerprint(pairing, gameData) {
+  return JSON.stringify({
+    white: pairing.white,
+    black: pairing.black,
+    moveCount: (gameData.moves || []).length,
+    lastMove: (gameData.moves || []).slice(-1)[0] || null,
+    result: gameData.result || null,
+    live: gameData.live || false,
+  });
+}
+
+// One poll cycle: the round index is fetched once, each game with a conditional request,
+// unchanged games are skipped and all changed games are written with a single bulkWrite
+async function syncRoundGames(repository, tracker, roundNumber, cycle, { force = false } = {}) {
+  const { tournamentId } = tracker;
+  const startedAt = Date.now();
+
+  const games = await getRoundGames(tournamentId, roundNumber);
+  cycle.requests++;
+  if (games.length === 0) {
+    return;
+  }
+
+  let existingGames = await repository.getRoundGames(tournamentId, roundNumber);
+  const reconciledBoards = await reconcileRoundPairings(
+    await connectToDatabase(),
+    repository,
+    tournamentId,
+    roundNumber,
+    games,
+    existingGames
+  );
+  const reconciled = reconciledBoards.length > 0;
+  if (reconciled) {
+    existingGames = await repository.getRoundGames(tournamentId, roundNumber);
+    // The game JSON of a corrected pairing is often unchanged and would come back as a 304,
+    // leaving the document with the old names and reconciling it again on every cycle
+    for (const board of reconciledBoards) {
+      tracker.gameCache.delete(getGameCacheKey(roundNumber, board));
+    }
+  }
+  const existingGamesById = new Map(existingGames.map((game) => [game.gameId, game]));
+
+  const updates = [];
+  const events = [];
+  const commentaryQueue = [];
+  const newPairings = [];
+  const positionUpdates = [];
+  const cacheUpdates = [];
+  let unchanged = 0;
+
+  for (const { gameId: board, pairing } of games) {
+    const cacheKey = getGameCacheKey(roundNumber, board);
+    const cached = force ? undefined : tracker.gameCache.get(cacheKey);
+
+    try {
+      const response = await fetchGameData(tournamentId, roundNumber, board, cached);
+      cycle.requests++;
+
+      if (response.notModified) {
+        unchanged++;
+        continue;
       }
-    };
 
-    let shouldGenerateCommentaryAndImage = false;
+      const fingerprint = getGameFingerprint(pairing, response.data);
+      if (cached && cached.fingerprint === fingerprint) {
+        unchanged++;
+        continue;
+      }
+
+      const gameState = buildGameState(tournamentId, roundNumber, board, pairing, response.data);
+      const existingGame = existingGamesById.get(gameState.gameId);
+      const update = buildGameUpdate(existingGame, gameState);
+
+      updates.push(update);
+      events.push(...getGameEvents(existingGame, gameState));
+      if (hasNewPairing(existingGame, gameState)) {
+        newPairings.push(gameState);
+      }
+
+      // Every board is stored; commentary and images are only generated for featured boards
+      const isNewPosition = !existingGame || existingGame.latestFEN !== gameState.latestFEN;
+      const featured = isFeaturedBoard(tracker.boardFilter, gameState);
+      if (isNewPosition && featured) {
+        commentaryQueue.push(gameState);
+      }
+      if (isNewPosition) {
+        positionUpdates.push({ gameState, existingGame, moves: update.moves, featured });
+      }
+      cacheUpdates.push([cacheKey, { etag: response.etag, lastModified: response.lastModified, fingerprint }]);
+    } catch (error) {
+      logger.error(`Error updating game ${board} in round ${roundNumber} of tournament ${tournamentId}`, {
+        board,
+        gameId: getGameId(tournamentId, roundNumber, board),
+        error,
+      });
+    }
+  }
+
+  await repository.saveGames(updates);
+
+  // Archived, moved and corrected games change the standings without a result event. This runs after
+  // the save so a corrected pairing is cached with its new players.
+  if (reconciled) {
+    try {
+      await invalidateStandings(await connectToDatabase(), tournamentId);
+    } catch (error) {
+      logger.error(`Error invalidating standings of tournament ${tournamentId}:`, error);
+    }
+  }
+
+  // Only remember what was seen once it is stored, so a failed write is retried next cycle
+  for (const [cacheKey, entry] of cacheUpdates) {
+    tracker.gameCache.set(cacheKey, entry);
+  }
 
-    // Check if the FEN has changed (indicating a new move)
-    if (!existingGame || existingGame.latestFEN !== gameState.latestFEN) {
-      shouldGenerateCommentaryAndImage = true;
+  if (newPairings.length > 0) {
+    try {
+      await upsertPlayers(await connectToDatabase(), newPairings);
+    } catch (error) {
+      logger.error(`Error updating players for round ${roundNumber} of tournament ${tournamentId}:`, error);
     }
+  }
+
+  for (const { gameState, existingGame, moves, featured } of positionUpdates) {
+    try {
+      const db = await connectToDatabase();
+      const positions = await storePositions(db, gameState, existingGame?.moves || [], moves);
 
-    if (shouldGenerateCommentaryAndImage) {
-      let commentary;
-      if (isCheckmate(gameState.latestFEN)) {
-        commentary = {
-          commentary: `The game has ended in checkmate. ${gameState.result === '1-0' ? 'White' : 'Black'} wins.`,
-          stockfishEval: gameState.result === '1-0' ? 100 : -100
-        };
-      } else {
-        commentary = await fetchCommentaryWithRetry(gameState.latestFEN, gameState.lastMove, gameState.whiteName, gameState.blackName);
+      // Plies that arrived together with a newer move get their own commentary; the latest ply is
+      // covered by the regular commentary job. Freshly backfilled games are not commented ply by ply.
+      if (featured && existingGame) {
+        for (const position of positions.slice(0, -1)) {
+          await enqueuePlyCommentary(db, gameState, position);
+        }
       }
-      
-      if (commentary) {
-        update.$push = { commentaries: commentary };
-        
-        const imageMediaId = await generateAndUploadImage(
-          gameState.latestFEN,
-          gameState.whiteName,
-          gameState.blackName,
-          commentary.stockfishEval,
-          gameState.lastMove?.match(/.{1,2}/g)
-        );
 
-        if (imageMediaId) {
-          update.$set.imageMediaId = imageMediaId;
+      // Moments are tagged on every board so highlights do not depend on the featured boards.
+      // Only moves seen live get priority commentary and images, not a backfilled game's history.
+      if (positions.length > 0) {
+        const moments = await recordMoments(
+          db,
+          { tournamentId, round: roundNumber, board: gameState.board, gameId: gameState.gameId },
+          detectBoardMoments(moves, positions[0].ply)
+        );
+        if (existingGame) {
+          for (const moment of moments) {
+            await enqueueMomentMedia(db, gameState, moment);
+          }
         }
       }
+    } catch (error) {
+      logger.error(`Error storing positions for game ${gameState.gameId}`, { gameId: gameState.gameId, error });
     }
+  }
 
-    await collection.updateOne({ gameId: gameState.gameId }, update, { upsert: true });
-    logger.info(`Updated game ${gameState.gameId}`);
-  } catch (error) {
-    logger.error(`Error updating game ${gameState.gameId}:`, error);
+  for (const gameState of commentaryQueue) {
+    try {
+      await enqueueCommentary(await connectToDatabase(), gameState);
+    } catch (error) {
+      logger.error(`Error queueing commentary for game ${gameState.gameId}`, { gameId: gameState.gameId, error });
+    }
   }
+
+  if (events.length > 0) {
+    try {
+      await publishEvents(await connectToDatabase(), events);
+    } catch (error) {
+      logger.error(`Error publishing events for round ${roundNumber} of tournament ${tournamentId}:`, error);
+    }
+  }
+
+  const labels = { tournament: tournamentId };
+  observeSummary('lcc_poll_duration_seconds', labels, (Date.now() - startedAt) / 1000);
+  incrementCounter('lcc_poll_requests_total', labels, cycle.requests);
+  incrementCounter('games_updated_total', labels, updates.length);
+
+  logger.info(
+    `Polled round ${roundNumber} of tournament ${tournamentId}: ${cycle.requests} requests, ` +
+    `${unchanged} unchanged, ${updates.length} written`
+  );
 }
 
+// Describes what a stored update changed, for clients following games live
+function getGameEvents(existingGame, gameState) {
+  const source = {
+    tournamentId: gameState.tournamentId,
+    round: gameState.round,
+    board: gameState.board,
+    gameId: gameState.gameId,
+  };
+  const events = [];
+
+  if (!existingGame || existingGame.latestFEN !== gameState.latestFEN) {
+    events.push({
+      ...source,
+      type: 'move',
+      data: {
+        latestFEN: gameState.latestFEN,
+        lastMove: gameState.lastMove,
+        plyCount: gameState.moves.length,
+        whiteClock: gameState.whiteClock,
+        blackClock: gameState.blackClock,
+      },
+    });
+  }
+
+  if (gameState.result !== 'ongoing' && gameState.result !== existingGame?.result) {
+    events.push({ ...source, type: 'result', data: { result: gameState.result } });
+
+    if (isCheckmate(gameState.latestFEN)) {
+      events.push({ ...source, type: 'checkmate', data: { result: gameState.result, latestFEN: gameState.latestFEN } });
+    }
+  }
+
+  return events;
+}
+
+// Keeps the time each move was first seen; moves only found on a backfill have no timestamp
+function stampMoves(moves, existingMoves, seenAt) {
+  return (moves || []).map((move, index) => {
+    const existingMove = existingMoves[index];
+    const isSameMove = existingMove && existingMove.san === move.san;
+    return {
+      ...move,
+      seenAt: isSameMove ? existingMove.seenAt : seenAt,
+    };
+  });
+}
+
+function buildGameUpdate(existingGame, gameState) {
+  const now = new Date();
+  return {
+    lastUpdated: now,
+    ...gameState,
+    moves: stampMoves(gameState.moves, existingGame?.moves || [], gameState.isLive ? now : null)
+  };
+}
+
+// Restarts the updater loop whenever it dies, backing off while it keeps failing straight away
 async function startDatabaseUpdater() {
   logger.info('Starting database updater');
-  await updateDatabase();
+  let restartDelay = UPDATER_RESTART_DELAY;
+
+  while (true) {
+    const startedAt = new Date();
+    updaterHealth.startedAt = startedAt;
+    try {
+      await updateDatabase();
+    } catch (error) {
+      logger.error('Error in database updater:', error);
+    }
+
+    updaterHealth.restarts++;
+    incrementCounter('updater_restarts_total');
+    if (Date.now() - startedAt.getTime() > UPDATER_RESTART_MAX_DELAY) {
+      restartDelay = UPDATER_RESTART_DELAY;
+    }
+    logger.warn(`Database updater stopped. Restarting in ${restartDelay / 1000}s`);
+    await sleep(restartDelay);
+    restartDelay = Math.min(restartDelay * 2, UPDATER_RESTART_MAX_DELAY);
+  }
 }
 
-module.exports = { startDatabaseUpdater };
\ No newline at end of file
+module.exports = {
+  startDatabaseUpdater,
+  getUpdaterHealth,
+  getUpdaterState,
+  getTournamentUpdaterState,
+  addTrackedTournament,
+  removeTrackedTournament,
+  setTrackedTournamentPaused,
+  setTrackedTournamentBoardFilter,
+  backfillRound,
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+// webhookApi.js
+
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { connectToDatabase } = require('./database');
+const { requireAdminSecret } = require('./adminAuth');
+const {
+  WEBHOOK_EVENTS,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  getDeliveries,
+  retryDelivery,
+} = require('./webhooks');
+const logger = require('./logger');
+
+router.use(requireAdminSecret);
+router.use(express.json());
+
+function isValidUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// List registered webhooks; secrets are only shown on registration
+router.get('/', async (req, res) => {
+  try {
+    const db = await connectToDatabase();
+    res.json(await listWebhooks(db));
+  } catch (error) {
+    logger.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Register a webhook; the response carries the HMAC secret used to sign deliveries
+router.post('/', async (req, res) => {
+  const { url, events, tournamentId } = req.body || {};
+  if (!isValidUrl(url)) {
+    return res.status(400).json({ error: 'url must be an http(s) URL' });
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every((event) => WEBHOOK_EVENTS.includes(event))) {
+    return res.status(400).json({ error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    res.status(201).json(await createWebhook(db, { url, events, tournamentId }));
+  } catch (error) {
+    logger.error('Error registering webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/:webhookId', async (req, res) => {
+  if (!ObjectId.isValid(req.params.webhookId)) {
+    return res.status(400).json({ error: 'Invalid webhook ID' });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    if (!(await deleteWebhook(db, req.params.webhookId))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting webhook ${req.params.webhookId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delivery log of a webhook, newest first; filter with ?status=pending|delivered|failed
+router.get('/:webhookId/deliveries', async (req, res) => {
+  if (!ObjectId.isValid(req.params.webhookId)) {
+    return res.status(400).json({ error: 'Invalid webhook ID' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  try {
+    const db = await connectToDatabase();
+    res.json(await getDeliveries(db, req.params.webhookId, { status: req.query.status, limit }));
+  } catch (error) {
+    logger.error(`Error fetching deliveries of webhook ${req.params.webhookId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a failed delivery again
+router.post('/deliveries/:deliveryId/retry', async (req, res) => {
+  if (!ObjectId.isValid(req.params.deliveryId)) {
+    return res.status(400).json({ error: 'Invalid delivery ID' });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    if (!(await retryDelivery(db, req.params.deliveryId))) {
+      return res.status(404).json({ error: 'No failed delivery with this ID' });
+    }
+    res.status(202).json({ deliveryId: req.params.deliveryId, status: 'pending' });
+  } catch (error) {
+    logger.error(`Error retrying delivery ${req.params.deliveryId}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
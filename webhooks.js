@@ -0,0 +1,240 @@
+// webhooks.js
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { ObjectId } = require('mongodb');
+const { connectToDatabase } = require('./database');
+const { subscribe } = require('./events');
+const logger = require('./logger');
+
+const WEBHOOKS_COLLECTION = process.env.WEBHOOKS_COLLECTION || 'webhooks';
+const DELIVERIES_COLLECTION = process.env.WEBHOOK_DELIVERIES_COLLECTION || 'webhookDeliveries';
+const WEBHOOK_TIMEOUT = 10000; // 10 seconds
+const DISPATCH_INTERVAL = 5000; // 5 seconds
+const RETRY_DELAYS = [5000, 30000, 120000, 600000]; // delays before the 2nd to 5th attempt
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 5; // webhooks sent to at once
+
+const WEBHOOK_EVENTS = ['roundStarted', 'roundFinished', 'move', 'result', 'checkmate', 'commentary', 'moment', 'highlight'];
+
+let dispatcherTimer = null;
+let dispatching = false;
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function toPublicWebhook(webhook) {
+  const { secret, ...publicWebhook } = webhook;
+  return publicWebhook;
+}
+
+async function createWebhook(db, { url, events, tournamentId }) {
+  const webhook = {
+    url,
+    events,
+    tournamentId: tournamentId || null,
+    secret: crypto.randomBytes(32).toString('hex'),
+    active: true,
+    createdAt: new Date(),
+  };
+  const result = await db.collection(WEBHOOKS_COLLECTION).insertOne(webhook);
+  logger.info(`Registered webhook ${result.insertedId} for ${url}`);
+  return { _id: result.insertedId, ...webhook };
+}
+
+async function listWebhooks(db) {
+  const webhooks = await db.collection(WEBHOOKS_COLLECTION).find({}).sort({ createdAt: 1 }).toArray();
+  return webhooks.map(toPublicWebhook);
+}
+
+async function deleteWebhook(db, webhookId) {
+  const result = await db.collection(WEBHOOKS_COLLECTION).deleteOne({ _id: new ObjectId(webhookId) });
+  return result.deletedCount > 0;
+}
+
+async function getDeliveries(db, webhookId, { status, limit = 50 } = {}) {
+  const query = { webhookId: new ObjectId(webhookId) };
+  if (status) {
+    query.status = status;
+  }
+  return db.collection(DELIVERIES_COLLECTION).find(query).sort({ createdAt: -1 }).limit(limit).toArray();
+}
+
+// Gives a failed delivery a full new retry schedule. Earlier attempts stay in its history.
+async function retryDelivery(db, deliveryId) {
+  const deliveries = db.collection(DELIVERIES_COLLECTION);
+  const delivery = await deliveries.findOne({ _id: new ObjectId(deliveryId), status: 'failed' });
+  if (!delivery) {
+    return false;
+  }
+
+  const result = await deliveries.updateOne(
+    { _id: delivery._id, status: 'failed' },
+    { $set: { status: 'pending', nextAttemptAt: new Date(), retriedFromAttempt: delivery.attempts.length } }
+  );
+  if (result.modifiedCount > 0) {
+    scheduleDispatch(0);
+  }
+  return result.modifiedCount > 0;
+}
+
+async function enqueueDeliveries(event) {
+  if (!WEBHOOK_EVENTS.includes(event.type)) {
+    return;
+  }
+
+  const db = await connectToDatabase();
+  const webhooks = await db
+    .collection(WEBHOOKS_COLLECTION)
+    .find({
+      active: true,
+      events: event.type,
+      $or: [{ tournamentId: null }, { tournamentId: event.tournamentId }],
+    })
+    .toArray();
+
+  const now = new Date();
+  const deliveries = webhooks.map((webhook) => ({
+    webhookId: webhook._id,
+    eventSeq: event.seq,
+    eventType: event.type,
+    payload: event,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now,
+  }));
+
+  if (deliveries.length > 0) {
+    await db.collection(DELIVERIES_COLLECTION).insertMany(deliveries);
+    scheduleDispatch(0);
+  }
+}
+
+async function attemptDelivery(db, delivery) {
+  const webhook = await db.collection(WEBHOOKS_COLLECTION).findOne({ _id: delivery.webhookId });
+  if (!webhook || !webhook.active) {
+    await db.collection(DELIVERIES_COLLECTION).updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'failed', error: 'Webhook no longer active' } }
+    );
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  const attempt = { at: new Date() };
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      timeout: WEBHOOK_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      validateStatus: () => true,
+    });
+    attempt.responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Subscriber responded with status ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  // Counted from the last manual retry, if any
+  const attemptCount = delivery.attempts.length - (delivery.retriedFromAttempt || 0) + 1;
+  const update = { $push: { attempts: attempt } };
+
+  if (!attempt.error) {
+    update.$set = { status: 'delivered', deliveredAt: new Date() };
+  } else if (attemptCount > RETRY_DELAYS.length) {
+    update.$set = { status: 'failed', error: attempt.error };
+    logger.warn(`Webhook delivery ${delivery._id} failed after ${attemptCount} attempts: ${attempt.error}`);
+  } else {
+    update.$set = { nextAttemptAt: new Date(Date.now() + RETRY_DELAYS[attemptCount - 1]) };
+  }
+
+  await db.collection(DELIVERIES_COLLECTION).updateOne({ _id: delivery._id }, update);
+}
+
+// Due deliveries of one webhook, oldest first
+async function dispatchWebhookDeliveries(db, webhookId) {
+  while (true) {
+    // Claim the delivery by pushing its next attempt forward, so a crash mid-request retries it later
+    const result = await db.collection(DELIVERIES_COLLECTION).findOneAndUpdate(
+      { webhookId, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { nextAttemptAt: new Date(Date.now() + WEBHOOK_TIMEOUT * 2) } },
+      { sort: { nextAttemptAt: 1 } }
+    );
+    if (!result.value) {
+      return;
+    }
+    await attemptDelivery(db, result.value);
+  }
+}
+
+// Each webhook is worked through on its own, up to WEBHOOK_CONCURRENCY at once, so a subscriber
+// that times out only delays its own deliveries
+async function dispatchDueDeliveries() {
+  if (dispatching) {
+    return;
+  }
+  dispatching = true;
+
+  try {
+    const db = await connectToDatabase();
+    const webhookIds = await db
+      .collection(DELIVERIES_COLLECTION)
+      .distinct('webhookId', { status: 'pending', nextAttemptAt: { $lte: new Date() } });
+
+    const dispatchNext = async () => {
+      while (webhookIds.length > 0) {
+        const webhookId = webhookIds.shift();
+        try {
+          await dispatchWebhookDeliveries(db, webhookId);
+        } catch (error) {
+          logger.error(`Error dispatching deliveries of webhook ${webhookId}:`, error);
+        }
+      }
+    };
+    await Promise.allSettled(Array.from({ length: Math.min(WEBHOOK_CONCURRENCY, webhookIds.length) }, dispatchNext));
+  } catch (error) {
+    logger.error('Error dispatching webhook deliveries:', error);
+  } finally {
+    dispatching = false;
+  }
+}
+
+function scheduleDispatch(delay = DISPATCH_INTERVAL) {
+  clearTimeout(dispatcherTimer);
+  dispatcherTimer = setTimeout(async () => {
+    await dispatchDueDeliveries();
+    scheduleDispatch();
+  }, delay);
+}
+
+function startWebhookDispatcher() {
+  subscribe({}, (event) => {
+    enqueueDeliveries(event).catch((error) => {
+      logger.error(`Error queueing webhook deliveries for event ${event.seq}:`, error);
+    });
+  });
+  scheduleDispatch(0);
+  logger.info('Webhook dispatcher started');
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  getDeliveries,
+  retryDelivery,
+  startWebhookDispatcher,
+};
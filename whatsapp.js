@@ -0,0 +1,254 @@
+// whatsapp.js
+
+const axios = require('axios');
+const { connectToDatabase } = require('./database');
+const { getGameRepository } = require('./gameRepository');
+const { subscribe } = require('./events');
+const { normalizeBoardFilter, isFeaturedBoard } = require('./boardFilter');
+const logger = require('./logger');
+
+const SUBSCRIBERS_COLLECTION = process.env.WHATSAPP_SUBSCRIBERS_COLLECTION || 'whatsappSubscribers';
+const DELIVERIES_COLLECTION = process.env.WHATSAPP_DELIVERIES_COLLECTION || 'whatsappDeliveries';
+const WHATSAPP_API_URL = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v17.0';
+const MESSAGES_PER_SECOND = parseFloat(process.env.WHATSAPP_MESSAGES_PER_SECOND) || 20;
+// Move updates to the same subscriber are dropped when closer together than this; results always go out
+const SUBSCRIBER_MIN_INTERVAL = parseInt(process.env.WHATSAPP_SUBSCRIBER_MIN_INTERVAL, 10) || 60000; // 1 minute
+
+const OPT_IN_KEYWORDS = ['START', 'SUBSCRIBE', 'YES'];
+const OPT_OUT_KEYWORDS = ['STOP', 'UNSUBSCRIBE', 'CANCEL'];
+
+const sendQueue = [];
+const lastSentAt = new Map();
+let sending = false;
+let indexesReady = null;
+
+function ensureDeliveryIndexes(db) {
+  if (!indexesReady) {
+    const deliveries = db.collection(DELIVERIES_COLLECTION);
+    indexesReady = Promise.all([
+      deliveries.createIndex({ gameId: 1, phoneNumber: 1 }),
+      deliveries.createIndex({ messageId: 1 }),
+    ]).catch((error) => {
+      indexesReady = null;
+      throw error;
+    });
+  }
+  return indexesReady;
+}
+
+function normalizePhoneNumber(phoneNumber) {
+  return String(phoneNumber || '').replace(/[^\d]/g, '');
+}
+
+// Preferences: { players: [...], topBoards: N, resultsOnly: true }; no players or topBoards follows every board
+function normalizePreferences(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('preferences must be an object');
+  }
+
+  const boardFilter = normalizeBoardFilter({ players: input.players, topBoards: input.topBoards });
+  return {
+    ...(boardFilter || {}),
+    resultsOnly: Boolean(input.resultsOnly),
+  };
+}
+
+async function upsertSubscriber(db, { phoneNumber, preferences, tournamentId, optedIn }) {
+  const now = new Date();
+  const update = {
+    $set: { updatedAt: now },
+    $setOnInsert: { phoneNumber, createdAt: now },
+  };
+  if (preferences !== undefined) {
+    update.$set.preferences = preferences;
+  }
+  if (tournamentId !== undefined) {
+    update.$set.tournamentId = tournamentId || null;
+  }
+  if (optedIn !== undefined) {
+    update.$set.optedIn = optedIn;
+    update.$set[optedIn ? 'optedInAt' : 'optedOutAt'] = now;
+  }
+
+  await db.collection(SUBSCRIBERS_COLLECTION).updateOne({ phoneNumber }, update, { upsert: true });
+  return db.collection(SUBSCRIBERS_COLLECTION).findOne({ phoneNumber });
+}
+
+async function listSubscribers(db) {
+  return db.collection(SUBSCRIBERS_COLLECTION).find({}).sort({ createdAt: 1 }).toArray();
+}
+
+async function deleteSubscriber(db, phoneNumber) {
+  const result = await db.collection(SUBSCRIBERS_COLLECTION).deleteOne({ phoneNumber });
+  return result.deletedCount > 0;
+}
+
+function wantsEvent(subscriber, event, game) {
+  const preferences = subscriber.preferences || {};
+  if (subscriber.tournamentId && subscriber.tournamentId !== event.tournamentId) {
+    return false;
+  }
+  if (preferences.resultsOnly && event.type !== 'result') {
+    return false;
+  }
+  const { resultsOnly, ...boardFilter } = preferences;
+  return isFeaturedBoard(Object.keys(boardFilter).length > 0 ? boardFilter : null, game);
+}
+
+function describeGame(game) {
+  return `${game.whiteName} vs ${game.blackName} (Round ${game.round}, Board ${game.board})`;
+}
+
+function buildMessage(event, game) {
+  if (event.type === 'image') {
+    const latestCommentary = (game.commentaries || []).slice(-1)[0];
+    const caption = latestCommentary
+      ? `${describeGame(game)}\n${latestCommentary.commentary}`
+      : describeGame(game);
+    return { type: 'image', image: { id: game.imageMediaId, caption } };
+  }
+
+  return { type: 'text', text: { body: `${describeGame(game)}: ${game.result}` } };
+}
+
+async function notifySubscribers(event) {
+  if (event.type !== 'image' && event.type !== 'result') {
+    return;
+  }
+
+  const db = await connectToDatabase();
+  const repository = await getGameRepository();
+  const game = await repository.getGame(event.gameId);
+  if (!game) {
+    return;
+  }
+
+  const subscribers = await db.collection(SUBSCRIBERS_COLLECTION).find({ optedIn: true }).toArray();
+  const message = buildMessage(event, game);
+
+  for (const subscriber of subscribers) {
+    if (wantsEvent(subscriber, event, game)) {
+      enqueueMessage({ phoneNumber: subscriber.phoneNumber, gameId: game.gameId, eventType: event.type, message });
+    }
+  }
+}
+
+function enqueueMessage(entry) {
+  sendQueue.push(entry);
+  drainSendQueue();
+}
+
+// Deliveries have their own collection, one document per message, so game documents stay small
+async function recordDelivery(gameId, delivery) {
+  const db = await connectToDatabase();
+  await ensureDeliveryIndexes(db);
+  await db.collection(DELIVERIES_COLLECTION).insertOne({ gameId, ...delivery, sentAt: new Date() });
+}
+
+// Messages dropped by the per-subscriber rate limit are not recorded
+async function sendMessage({ phoneNumber, gameId, eventType, message }) {
+  const delivery = { phoneNumber, eventType, messageType: message.type, messageId: null };
+
+  const previous = lastSentAt.get(phoneNumber) || 0;
+  if (eventType !== 'result' && Date.now() - previous < SUBSCRIBER_MIN_INTERVAL) {
+    return;
+  }
+
+  try {
+    const response = await axios.post(
+      `${WHATSAPP_API_URL}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+      { messaging_product: 'whatsapp', to: phoneNumber, ...message },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+        },
+      }
+    );
+    lastSentAt.set(phoneNumber, Date.now());
+    delivery.messageId = response.data.messages?.[0]?.id || null;
+    await recordDelivery(gameId, { ...delivery, status: 'sent' });
+  } catch (error) {
+    logger.error(`Error sending WhatsApp message to ${phoneNumber}:`, {
+      message: error.message,
+      status: error.response?.status,
+      data: error.response?.data,
+    });
+    await recordDelivery(gameId, {
+      ...delivery,
+      status: 'failed',
+      error: error.response?.data?.error?.message || error.message,
+    });
+  }
+}
+
+// Sends queued messages one at a time, spaced to stay under WHATSAPP_MESSAGES_PER_SECOND
+async function drainSendQueue() {
+  if (sending) {
+    return;
+  }
+  sending = true;
+
+  try {
+    while (sendQueue.length > 0) {
+      await sendMessage(sendQueue.shift());
+      await new Promise(resolve => setTimeout(resolve, 1000 / MESSAGES_PER_SECOND));
+    }
+  } catch (error) {
+    logger.error('Error draining WhatsApp send queue:', error);
+  } finally {
+    sending = false;
+  }
+}
+
+// Applies delivery status callbacks (sent, delivered, read, failed) from the WhatsApp webhook
+async function updateDeliveryStatus(db, { id, status, errors }) {
+  const update = { status, statusAt: new Date() };
+  if (errors && errors.length > 0) {
+    update.error = errors[0].title || errors[0].message;
+  }
+  await db.collection(DELIVERIES_COLLECTION).updateOne({ messageId: id }, { $set: update });
+}
+
+// Handles keyword replies from subscribers; returns true when the message changed their opt-in
+async function handleIncomingMessage(db, { from, text }) {
+  const keyword = (text?.body || '').trim().toUpperCase();
+  const phoneNumber = normalizePhoneNumber(from);
+
+  if (OPT_IN_KEYWORDS.includes(keyword)) {
+    await upsertSubscriber(db, { phoneNumber, optedIn: true });
+    logger.info(`WhatsApp subscriber ${phoneNumber} opted in`);
+    return true;
+  }
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    await upsertSubscriber(db, { phoneNumber, optedIn: false });
+    logger.info(`WhatsApp subscriber ${phoneNumber} opted out`);
+    return true;
+  }
+  return false;
+}
+
+function startWhatsAppNotifier() {
+  if (!process.env.WHATSAPP_PHONE_NUMBER_ID || !process.env.WHATSAPP_ACCESS_TOKEN) {
+    logger.warn('WhatsApp credentials are not set. Broadcast messaging is disabled.');
+    return;
+  }
+
+  subscribe({}, (event) => {
+    notifySubscribers(event).catch((error) => {
+      logger.error(`Error notifying WhatsApp subscribers of event ${event.seq}:`, error);
+    });
+  });
+  logger.info('WhatsApp notifier started');
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  normalizePreferences,
+  upsertSubscriber,
+  listSubscribers,
+  deleteSubscriber,
+  updateDeliveryStatus,
+  handleIncomingMessage,
+  startWhatsAppNotifier,
+};
@@ -0,0 +1,128 @@
+// whatsappApi.js
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { connectToDatabase } = require('./database');
+const { requireAdminSecret } = require('./adminAuth');
+const {
+  normalizePhoneNumber,
+  normalizePreferences,
+  upsertSubscriber,
+  listSubscribers,
+  deleteSubscriber,
+  updateDeliveryStatus,
+  handleIncomingMessage,
+} = require('./whatsapp');
+const logger = require('./logger');
+
+// Keep the raw body around to check the X-Hub-Signature-256 of webhook callbacks
+router.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
+
+// Without WHATSAPP_APP_SECRET no callback can be verified, so none is accepted
+function hasValidSignature(req) {
+  const appSecret = process.env.WHATSAPP_APP_SECRET;
+  if (!appSecret) {
+    logger.warn('Rejected WhatsApp webhook callback: WHATSAPP_APP_SECRET is not set');
+    return false;
+  }
+
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', appSecret).update(req.rawBody || '').digest('hex')}`
+  );
+  const provided = Buffer.from(req.get('X-Hub-Signature-256') || '');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Webhook verification handshake from Meta
+router.get('/webhook', (req, res) => {
+  if (
+    req.query['hub.mode'] === 'subscribe' &&
+    process.env.WHATSAPP_VERIFY_TOKEN &&
+    req.query['hub.verify_token'] === process.env.WHATSAPP_VERIFY_TOKEN
+  ) {
+    return res.send(req.query['hub.challenge']);
+  }
+  res.status(403).end();
+});
+
+// Message status callbacks and subscriber replies (START/STOP) from WhatsApp
+router.post('/webhook', async (req, res) => {
+  if (!hasValidSignature(req)) {
+    return res.status(401).end();
+  }
+
+  try {
+    const db = await connectToDatabase();
+    for (const entry of req.body.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        for (const status of value.statuses || []) {
+          await updateDeliveryStatus(db, status);
+        }
+        for (const message of value.messages || []) {
+          await handleIncomingMessage(db, message);
+        }
+      }
+    }
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error('Error handling WhatsApp webhook:', error);
+    res.status(500).end();
+  }
+});
+
+router.get('/subscribers', requireAdminSecret, async (req, res) => {
+  try {
+    const db = await connectToDatabase();
+    res.json(await listSubscribers(db));
+  } catch (error) {
+    logger.error('Error listing WhatsApp subscribers:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create or update a subscriber: { preferences: { players, topBoards, resultsOnly }, tournamentId, optedIn: false }.
+// Only the subscriber can opt in, by replying START; admins can opt them out.
+router.put('/subscribers/:phoneNumber', requireAdminSecret, async (req, res) => {
+  const phoneNumber = normalizePhoneNumber(req.params.phoneNumber);
+  if (!phoneNumber) {
+    return res.status(400).json({ error: 'Invalid phone number' });
+  }
+  const { tournamentId, optedIn } = req.body || {};
+  if (optedIn !== undefined && optedIn !== false) {
+    return res.status(400).json({ error: 'optedIn can only be set to false; subscribers opt in by replying START' });
+  }
+
+  let preferences;
+  try {
+    preferences = req.body && req.body.preferences !== undefined
+      ? normalizePreferences(req.body.preferences)
+      : undefined;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    res.json(await upsertSubscriber(db, { phoneNumber, preferences, tournamentId, optedIn }));
+  } catch (error) {
+    logger.error(`Error updating WhatsApp subscriber ${phoneNumber}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/subscribers/:phoneNumber', requireAdminSecret, async (req, res) => {
+  try {
+    const db = await connectToDatabase();
+    if (!(await deleteSubscriber(db, normalizePhoneNumber(req.params.phoneNumber)))) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting WhatsApp subscriber ${req.params.phoneNumber}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;